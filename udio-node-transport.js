@@ -0,0 +1,94 @@
+/**
+ * udio-node-transport.js
+ * UdioPlayer transport for Node.js versions without a global fetch(), using the built-in
+ * http/https modules (Node.js only; kept out of udio-player.js so browser bundles don't pull in http).
+ * @version 1.0.0
+ * @license MIT
+ *
+ * Usage:
+ *   const { UdioClient } = require('./udio-player');
+ *   const { NodeTransport } = require('./udio-node-transport');
+ *
+ *   const client = new UdioClient({ transport: new NodeTransport() });
+ */
+
+'use strict';
+
+const http = require('http');
+const https = require('https');
+
+function createAbortError(message = 'The operation was aborted') {
+  const error = new Error(message);
+  error.name = 'AbortError';
+  return error;
+}
+
+/**
+ * Transport for Node.js using the built-in http/https modules
+ * (implements UdioTransport: request(url, options) resolving with parsed JSON or text)
+ */
+class NodeTransport {
+  /**
+   * @param {string} url - Request URL
+   * @param {Object} [options] - Request options (method, headers, body, signal)
+   * @returns {Promise<Object|string>} Parsed JSON, or text for other content types
+   */
+  request(url, options = {}) {
+    return new Promise((resolve, reject) => {
+      const parsed = new URL(url);
+      const client = parsed.protocol === 'http:' ? http : https;
+
+      const request = client.request(parsed, {
+        method: options.method || 'GET',
+        headers: options.headers || {}
+      }, (response) => {
+        const chunks = [];
+
+        response.on('data', chunk => chunks.push(chunk));
+        response.on('end', () => {
+          const text = Buffer.concat(chunks).toString('utf8');
+
+          if (response.statusCode < 200 || response.statusCode >= 300) {
+            reject(new Error(`Request failed with status ${response.statusCode}`));
+            return;
+          }
+
+          const contentType = response.headers['content-type'] || '';
+          if (contentType.includes('application/json')) {
+            try {
+              resolve(JSON.parse(text));
+            } catch (e) {
+              reject(e);
+            }
+          } else {
+            resolve(text);
+          }
+        });
+        response.on('error', reject);
+      });
+
+      const { signal } = options;
+      const onAbort = () => request.destroy(signal.reason || createAbortError());
+
+      if (signal) {
+        if (signal.aborted) {
+          onAbort();
+        } else {
+          signal.addEventListener('abort', onAbort, { once: true });
+          request.on('close', () => signal.removeEventListener('abort', onAbort));
+        }
+      }
+
+      request.on('error', reject);
+
+      if (options.body) {
+        request.write(options.body);
+      }
+      request.end();
+    });
+  }
+}
+
+module.exports = {
+  NodeTransport
+};
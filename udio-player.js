@@ -23,13 +23,115 @@
    * @property {boolean} [autoplay=false] - Whether to autoplay the audio when loaded
    * @property {boolean} [loop=false] - Whether to loop the audio
    * @property {number} [playbackRate=1.0] - Playback rate (0.5 to 4.0)
+   * @property {number} [fadeIn] - Fade in from silence over this many milliseconds (play() only)
+   */
+
+  /**
+   * @typedef {Object} UdioQuantizedPosition
+   * A position expressed on the track's beat grid (for seekToGrid() and loopSection())
+   * @property {number} [bars] - Bar index, counted from the first downbeat
+   * @property {number} [beats] - Beat index, counted from the first beat
+   */
+
+  /**
+   * @typedef {Object} UdioTrackAnalysis
+   * @property {number} bpm - Estimated tempo in beats per minute
+   * @property {number} beatInterval - Seconds per beat
+   * @property {number[]} beats - Beat positions in seconds
+   * @property {number[]} bars - Likely bar (downbeat) positions in seconds
+   * @property {number} beatsPerBar - Beats per bar used for bar detection
+   * @property {number} confidence - Rough confidence of the tempo estimate (0.0 to 1.0)
+   * @property {number} duration - Duration of the analyzed audio in seconds
+   */
+
+  /**
+   * @typedef {Object} UdioPeaks
+   * Waveform overview of a track: the lowest and highest sample in each bucket, across channels
+   * @property {number} buckets - Number of buckets
+   * @property {number} duration - Duration of the audio in seconds
+   * @property {number[]} min - Lowest sample per bucket (-1.0 to 0.0)
+   * @property {number[]} max - Highest sample per bucket (0.0 to 1.0)
+   */
+
+  /**
+   * @typedef {Object} UdioAnalyserOptions
+   * @property {number} [fftSize=2048] - FFT size (a power of two from 32 to 32768)
+   * @property {number} [smoothingTimeConstant=0.8] - Averaging between frames (0.0 to 1.0)
+   * @property {number} [minDecibels=-100] - Bottom of the byte frequency data range
+   * @property {number} [maxDecibels=-30] - Top of the byte frequency data range
+   */
+
+  /**
+   * @typedef {Object} UdioEffectOptions
+   * One stage of the player's effects chain. Parameters not given start at a neutral setting.
+   * @property {('lowpass'|'highpass'|'eq'|'reverb')} type - Effect type
+   * @property {string} [name] - Name used with setEffectParam() (defaults to the type)
+   * @property {number} [frequency] - lowpass/highpass: cutoff in Hz (20000 / 10)
+   * @property {number} [Q=0.7071] - lowpass/highpass: resonance
+   * @property {number} [low=0] - eq: gain below 320 Hz in dB
+   * @property {number} [mid=0] - eq: gain around 1 kHz in dB
+   * @property {number} [high=0] - eq: gain above 3.2 kHz in dB
+   * @property {number} [mix=0.3] - reverb: wet/dry balance (0.0 = dry, 1.0 = wet)
+   * @property {number} [seconds=2] - reverb: length of the generated impulse
+   * @property {number} [decay=2] - reverb: how quickly the impulse dies away (higher is faster)
+   */
+
+  /**
+   * @typedef {Object} UdioMediaSessionOptions
+   * @property {number} [seekOffset=10] - Seconds skipped by the seek backward/forward actions
+   * @property {string} [album] - Album shown alongside tracks (defaults to none)
+   */
+
+  /**
+   * @typedef {Object} UdioPlayerState
+   * JSON-safe snapshot of a player, from getState(), for save games and session restore
+   * @property {number} version - Snapshot format version
+   * @property {UdioTrack|null} track - Loaded track, or null if nothing was loaded
+   * @property {number} currentTime - Playback position in seconds
+   * @property {boolean} playing - Whether the track was playing
+   * @property {number} volume - Volume, ignoring any fade in progress (0.0 to 1.0)
+   * @property {number} playbackRate - Playback rate
+   * @property {boolean} loop - Whether the whole track loops
+   * @property {Object|null} loopSection - Active section loop (startTime, endTime, repetitions,
+   *   keepPosition), or null; it is re-armed in the restoring player's loopMode
+   * @property {number} loopCount - Completed repetitions of the section loop
+   */
+
+  /**
+   * @typedef {Object} UdioCue
+   * A named point in a track; the player emits 'cue' with the cue as detail (plus track and
+   * loopCount, the passes completed through the section loop) each time playback crosses it
+   * @property {number} id - Cue id, for removeCue()
+   * @property {number} time - Position in seconds
+   * @property {string} name - Cue name, e.g. 'drop' or 'chorus'
+   * @property {*} [data] - Anything passed along with the event
    */
 
   /**
    * @typedef {Object} UdioLoopOptions
-   * @property {number} startTime - Start time in seconds
-   * @property {number} endTime - End time in seconds
+   * @property {number|UdioQuantizedPosition} startTime - Start time in seconds, or a beat-grid position
+   * @property {number|UdioQuantizedPosition} endTime - End time in seconds, or a beat-grid position
+   * @property {number} [bars] - Shorthand for looping this many bars from the current bar
    * @property {number} [repetitions] - Number of times to repeat the loop (undefined = infinite)
+   * @property {('timer'|'webaudio')} [mode] - 'webaudio' decodes the track and loops the buffer
+   *   sample-accurately; 'timer' polls the audio element. Defaults to the player's loopMode
+   * @property {boolean} [keepPosition=false] - Don't jump to startTime when playback is before
+   *   the section, so it plays into the loop
+   */
+
+  /**
+   * @typedef {Object} UdioSegment
+   * @property {number} startTime - Start time in seconds
+   * @property {number} [endTime] - End time in seconds. Optional for an intro that plays straight
+   *   into the loop, and for the outro (defaults to the end of the track)
+   */
+
+  /**
+   * @typedef {Object} UdioArrangement
+   * @property {UdioSegment} [intro] - Played once before the loop
+   * @property {UdioSegment} loop - Looped until exitLoop() is called
+   * @property {UdioSegment} [outro] - Played once after the loop, then playback stops
+   * @property {('timer'|'webaudio')} [mode] - Loop mode, as in UdioLoopOptions
    */
   
   /**
@@ -40,6 +142,41 @@
    * @property {string} [sort=null] - Sort method ("likes", "cache_trending_score", etc.)
    * @property {number} [maxAgeInHours] - Maximum age of tracks in hours
    * @property {string} [userId] - Specific user ID to search from
+   * @property {number} [page=0] - Result page to fetch
+   * @property {number} [minDuration] - Minimum track duration in seconds (client-side filter)
+   * @property {number} [maxDuration] - Maximum track duration in seconds (client-side filter)
+   * @property {number} [minLikes] - Minimum number of likes (client-side filter)
+   * @property {number} [minPlays] - Minimum number of plays (client-side filter)
+   * @property {string[]} [excludeTags] - Drop tracks carrying any of these tags (client-side filter)
+   * @property {boolean} [instrumentalOnly=false] - Only keep tracks without lyrics (client-side filter)
+   * @property {('plays'|'likes'|'duration'|'publishedAt')} [sortBy] - Client-side sort of the results
+   * @property {('asc'|'desc')} [sortDirection='desc'] - Direction for sortBy
+   * @property {number} [maxPages=10] - When filtering, the most pages to fetch looking for matches
+   * @property {AbortSignal} [signal] - Cancels the search; it then rejects with the signal's reason
+   *   (an AbortError unless abort() was given one) and never falls back to demo tracks
+   * @property {number} [timeout] - Milliseconds allowed per request attempt (defaults to the player's requestTimeout)
+   * @property {boolean} [cancelPrevious] - Abort the previous search that is still in flight
+   *   (defaults to the player's cancelPreviousSearch option)
+   * @property {boolean} [cache=true] - Set to false to bypass the search cache for this call
+   * @property {number} [cacheTtl] - Cache lifetime of this result in milliseconds (defaults to the cache's ttl)
+   */
+
+  /**
+   * @typedef {Object} UdioCacheStorage
+   * Storage adapter for the search cache. Methods may return values or promises.
+   * @property {function(string): (Object|undefined|Promise<Object|undefined>)} get - Read an entry
+   * @property {function(string, Object): (void|Promise<void>)} set - Write an entry
+   * @property {function(string): (void|Promise<void>)} delete - Remove an entry
+   * @property {function(): (string[]|Promise<string[]>)} keys - List all keys
+   * @property {function(): (void|Promise<void>)} clear - Remove all entries
+   */
+
+  /**
+   * @typedef {Object} UdioCacheOptions
+   * @property {('memory'|'localStorage'|'indexedDB'|UdioCacheStorage)} [storage='memory'] - Where entries are kept
+   * @property {number} [maxEntries=100] - Maximum number of cached searches (least recently used are evicted)
+   * @property {number} [ttl=600000] - Default entry lifetime in milliseconds
+   * @property {string} [namespace='udio-player'] - Key prefix / database name for persistent storage
    */
 
   /**
@@ -53,48 +190,280 @@
    * @property {number} [duration] - Track duration in seconds
    * @property {string} [lyrics] - Track lyrics
    */
+
+  /**
+   * @typedef {Object} UdioCrossfadeOptions
+   * @property {number} [duration=2] - Crossfade duration in seconds
+   * @property {('equal-power'|'linear')} [curve='equal-power'] - Fade curve
+   * @property {number} [volume=1.0] - Volume level of the incoming track
+   * @property {boolean} [loop=false] - Whether to loop the incoming track
+   * @property {number} [playbackRate=1.0] - Playback rate of the incoming track
+   */
+
+  /**
+   * @typedef {('off'|'one'|'all')} UdioRepeatMode
+   * Repeat mode for the play queue: no repeat, repeat the current track, or repeat the whole queue
+   */
    
   /**
-   * Enhanced CORS proxy manager with multiple fallback strategies
+   * @typedef {Object} UdioRequestAttempt
+   * @property {('transport'|'self-hosted'|'direct'|'proxy'|'last-resort')} strategy - How the request was sent
+   * @property {string} [proxy] - Proxy name, for 'proxy' attempts
+   * @property {Error} error - Why the attempt failed
+   */
+
+  /**
+   * Base class for errors raised by UdioPlayer
+   */
+  class UdioError extends Error {
+    constructor(message, options = {}) {
+      super(message);
+      this.name = this.constructor.name;
+      if (options.cause) {
+        this.cause = options.cause;
+      }
+    }
+  }
+
+  /**
+   * A request to Udio's API failed
+   */
+  class UdioNetworkError extends UdioError {
+    /**
+     * @param {string} message - Error message
+     * @param {Object} [options]
+     * @param {UdioRequestAttempt[]} [options.attempts] - Strategies that were tried
+     * @param {Error} [options.cause] - Underlying error
+     */
+    constructor(message, options = {}) {
+      super(message, options);
+      this.attempts = options.attempts || [];
+    }
+  }
+
+  /**
+   * Direct requests, every eligible proxy and the last-resort request all failed
+   */
+  class UdioProxyExhaustedError extends UdioNetworkError {}
+
+  /**
+   * Udio's API (or a proxy) answered with something that isn't a search result
+   */
+  class UdioResponseFormatError extends UdioError {
+    /**
+     * @param {string} message - Error message
+     * @param {Object} [options]
+     * @param {*} [options.response] - The response that couldn't be understood
+     * @param {Error} [options.cause] - Underlying error
+     */
+    constructor(message, options = {}) {
+      super(message, options);
+      this.response = options.response;
+    }
+  }
+
+  /**
+   * An audio file couldn't be loaded for playback
+   */
+  class UdioAudioLoadError extends UdioError {
+    /**
+     * @param {string} message - Error message
+     * @param {Object} [options]
+     * @param {UdioTrack} [options.track] - Track that failed to load
+     * @param {string} [options.url] - URL the audio was loaded from
+     * @param {number} [options.code] - MediaError code, when the audio element reported one
+     * @param {Error} [options.cause] - Underlying error
+     */
+    constructor(message, options = {}) {
+      super(message, options);
+      this.track = options.track || null;
+      this.url = options.url || null;
+      this.code = options.code !== undefined ? options.code : null;
+    }
+  }
+
+  /**
+   * @typedef {Object} UdioProxyConfig
+   * @property {string} name - Unique proxy name
+   * @property {string} url - Proxy prefix; the target URL is appended to it
+   * @property {string[]} [methods=['GET']] - HTTP methods the proxy supports
+   * @property {boolean} [encode=true] - Whether to URL-encode the target URL when appending it
+   * @property {function(string): string} [format] - Custom formatter from target URL to proxied URL
+   * @property {('url'|'jsonp')} [type='url'] - 'jsonp' requests the target directly via JSONP
+   */
+
+  /**
+   * @typedef {Object} UdioProxyStatus
+   * @property {string} name - Proxy name
+   * @property {string} url - Proxy prefix
+   * @property {string[]} methods - Supported HTTP methods
+   * @property {('untested'|'working'|'failed')} status - Result of the last request or probe
+   * @property {number|null} lastTestedTime - Timestamp of the last request or probe
+   * @property {string|null} lastError - Message of the last failure
+   * @property {number} failures - Consecutive failures
+   * @property {boolean} coolingDown - Whether the proxy is skipped until retryAt
+   * @property {number|null} retryAt - When a failed proxy becomes eligible again
+   */
+
+  /**
+   * Enhanced CORS proxy manager with multiple fallback strategies.
+   * Proxies are tried in registry order; selection skips proxies that don't support
+   * the request method and failed proxies that are still in their cooldown.
    */
   class CorsProxyManager {
-    constructor() {
-      // List of public CORS proxies to try
-      this.proxies = [
+    /**
+     * @param {Object} [options]
+     * @param {UdioProxyConfig[]} [options.proxies] - Proxy registry, in priority order (defaults to the public proxies)
+     * @param {number} [options.retryDelay=1800000] - Cooldown in milliseconds before retrying a failed proxy
+     */
+    constructor(options = {}) {
+      // List of CORS proxies to try
+      this.proxies = [];
+      (options.proxies || CorsProxyManager.defaultProxies()).forEach(proxy => this.addProxy(proxy));
+      
+      this.currentProxyIndex = 0;
+      this.lastTestedTime = {};
+      this.retryDelay = options.retryDelay !== undefined ? options.retryDelay : 30 * 60 * 1000; // 30 minutes before retrying a failed proxy
+      this._healthTimer = null;
+    }
+
+    /**
+     * The built-in public proxies
+     * @returns {UdioProxyConfig[]}
+     */
+    static defaultProxies() {
+      return [
         {
           name: 'allorigins',
           url: 'https://api.allorigins.win/raw?url=',
-          format: (url) => `${this.proxies[0].url}${encodeURIComponent(url)}`,
-          methods: ['GET'],
-          status: 'untested'
+          methods: ['GET']
         },
         {
           name: 'corsproxy.io',
           url: 'https://corsproxy.io/?',
-          format: (url) => `${this.proxies[1].url}${encodeURIComponent(url)}`,
-          methods: ['GET', 'POST'],
-          status: 'untested'
+          methods: ['GET', 'POST']
         },
         {
           name: 'thingproxy',
           url: 'https://thingproxy.freeboard.io/fetch/',
-          format: (url) => `${this.proxies[2].url}${url}`,
-          methods: ['GET', 'POST'],
-          status: 'untested'
+          encode: false,
+          methods: ['GET', 'POST']
         },
         {
-          name: 'jsonp',
           // This isn't a URL but a flag for JSONP approach
+          name: 'jsonp',
           url: 'jsonp://',
-          format: (url) => url,
-          methods: ['GET'],
-          status: 'untested'
+          type: 'jsonp',
+          methods: ['GET']
         }
       ];
+    }
+
+    /**
+     * Register a proxy
+     * @param {UdioProxyConfig} config - Proxy configuration
+     * @param {Object} [options]
+     * @param {number} [options.index] - Position in the priority order (defaults to last)
+     * @returns {Object} The registered proxy
+     */
+    addProxy(config, options = {}) {
+      if (!config || !config.name || !config.url) {
+        throw new Error('Proxy config requires a name and url');
+      }
       
-      this.currentProxyIndex = 0;
-      this.lastTestedTime = {};
-      this.retryDelay = 30 * 60 * 1000; // 30 minutes before retrying a failed proxy
+      this.removeProxy(config.name);
+      
+      const proxy = {
+        name: config.name,
+        url: config.url,
+        type: config.type || 'url',
+        methods: (config.methods || ['GET']).map(method => method.toUpperCase()),
+        status: 'untested',
+        lastError: null,
+        failures: 0
+      };
+      proxy.format = config.format || (proxy.type === 'jsonp'
+        ? (url) => url
+        : (url) => `${proxy.url}${config.encode === false ? url : encodeURIComponent(url)}`);
+      
+      const index = options.index !== undefined ? options.index : this.proxies.length;
+      this.proxies.splice(index, 0, proxy);
+      return proxy;
+    }
+
+    /**
+     * Remove a proxy from the registry
+     * @param {string} name - Proxy name
+     * @returns {boolean} Whether a proxy was removed
+     */
+    removeProxy(name) {
+      const index = this.proxies.findIndex(proxy => proxy.name === name);
+      if (index === -1) return false;
+      
+      this.proxies.splice(index, 1);
+      delete this.lastTestedTime[name];
+      this.currentProxyIndex = Math.min(this.currentProxyIndex, Math.max(0, this.proxies.length - 1));
+      return true;
+    }
+
+    /**
+     * Pick the highest-priority proxy that supports a method and isn't cooling down
+     * @param {string} [method='GET'] - HTTP method of the request
+     * @param {string[]} [exclude] - Names of proxies to skip (e.g. already attempted)
+     * @returns {Object|null} The proxy, or null if none is eligible
+     */
+    selectProxy(method = 'GET', exclude = []) {
+      method = method.toUpperCase();
+      
+      const index = this.proxies.findIndex(proxy =>
+        exclude.indexOf(proxy.name) === -1 &&
+        proxy.methods.indexOf(method) !== -1 &&
+        !this.isCoolingDown(proxy)
+      );
+      
+      if (index === -1) return null;
+      
+      this.currentProxyIndex = index;
+      return this.proxies[index];
+    }
+
+    /**
+     * Whether a failed proxy is still within its retry delay
+     * @param {Object} proxy - A registered proxy
+     * @returns {boolean}
+     */
+    isCoolingDown(proxy) {
+      if (proxy.status !== 'failed') return false;
+      return Date.now() - (this.lastTestedTime[proxy.name] || 0) < this.retryDelay;
+    }
+
+    /**
+     * Record a failed request or probe
+     * @param {string} name - Proxy name
+     * @param {Error} [error] - The failure
+     */
+    markFailed(name, error) {
+      const proxy = this._getProxy(name);
+      if (!proxy) return;
+      
+      proxy.status = 'failed';
+      proxy.failures++;
+      proxy.lastError = error ? error.message : null;
+      this.lastTestedTime[name] = Date.now();
+    }
+
+    /**
+     * Record a successful request or probe
+     * @param {string} name - Proxy name
+     */
+    markWorking(name) {
+      const proxy = this._getProxy(name);
+      if (!proxy) return;
+      
+      proxy.status = 'working';
+      proxy.failures = 0;
+      proxy.lastError = null;
+      this.lastTestedTime[name] = Date.now();
     }
 
     /**
@@ -109,15 +478,14 @@
      * Mark current proxy as failed
      */
     markCurrentAsFailed() {
-      this.proxies[this.currentProxyIndex].status = 'failed';
-      this.lastTestedTime[this.currentProxyIndex] = Date.now();
+      this.markFailed(this.proxies[this.currentProxyIndex].name);
     }
 
     /**
      * Mark current proxy as working
      */
     markCurrentAsWorking() {
-      this.proxies[this.currentProxyIndex].status = 'working';
+      this.markWorking(this.proxies[this.currentProxyIndex].name);
     }
 
     /**
@@ -126,778 +494,6034 @@
     getCurrentProxy() {
       return this.proxies[this.currentProxyIndex];
     }
-  }
-
-  /**
-   * Handles JSONP requests as a fallback method
-   */
-  class JsonpHandler {
-    constructor() {
-      this.callbackCounter = 0;
-    }
 
     /**
-     * Create a JSONP request
-     * @param {string} url - Base URL
-     * @param {Object} params - URL parameters
-     * @returns {Promise} Promise that resolves with the response
+     * Report the state of every registered proxy
+     * @returns {UdioProxyStatus[]}
      */
-    request(url, params = {}) {
-      return new Promise((resolve, reject) => {
-        // Create a unique callback name
-        const callbackName = `jsonpCallback_${Date.now()}_${this.callbackCounter++}`;
-        
-        // Create global callback function
-        window[callbackName] = (data) => {
-          // Clean up
-          document.body.removeChild(script);
-          delete window[callbackName];
-          
-          resolve(data);
-        };
-        
-        // Add callback parameter to URL
-        const fullUrl = this._buildUrl(url, {...params, callback: callbackName});
+    getStatus() {
+      return this.proxies.map(proxy => {
+        const lastTested = this.lastTestedTime[proxy.name] || null;
+        const coolingDown = this.isCoolingDown(proxy);
         
-        // Create script element
-        const script = document.createElement('script');
-        script.src = fullUrl;
-        script.onerror = (error) => {
-          document.body.removeChild(script);
-          delete window[callbackName];
-          reject(new Error('JSONP request failed'));
+        return {
+          name: proxy.name,
+          url: proxy.url,
+          methods: proxy.methods.slice(),
+          status: proxy.status,
+          lastTestedTime: lastTested,
+          lastError: proxy.lastError,
+          failures: proxy.failures,
+          coolingDown,
+          retryAt: proxy.status === 'failed' ? lastTested + this.retryDelay : null
         };
-        
-        // Add to document to trigger request
-        document.body.appendChild(script);
       });
     }
-    
+
     /**
-     * Build URL with query parameters
+     * Probe proxies in the background: untested proxies and failed ones whose
+     * cooldown has expired are re-tested with a GET through the proxy
+     * @param {Object} options
+     * @param {function(string, UdioRequestOptions): Promise<*>} options.request - Sends the probe request
+     * @param {string} options.url - Target URL to request through each proxy
+     * @param {number} [options.interval=300000] - Milliseconds between probe rounds
      */
-    _buildUrl(url, params) {
-      const queryString = Object.entries(params)
-        .map(([key, value]) => `${key}=${encodeURIComponent(value)}`)
-        .join('&');
-        
-      return url + (url.includes('?') ? '&' : '?') + queryString;
-    }
-  }
-
-  /**
-   * UdioPlayer with enhanced CORS-handling capabilities
-   */
-  class UdioPlayer {
-    constructor(options = {}) {
-      this.apiBaseUrl = options.apiBaseUrl || 'https://www.udio.com/api';
-      this.searchEndpoint = `${this.apiBaseUrl}/songs/search`;
-      this.pageSize = options.pageSize || 20;
-      this.maxRetries = options.maxRetries || 4;
-      
-      this.corsMode = options.corsMode || 'proxy'; // 'proxy', 'direct', or 'auto'
-      this.proxyManager = new CorsProxyManager();
-      this.jsonpHandler = new JsonpHandler();
+    startHealthChecks(options) {
+      this.stopHealthChecks();
       
-      this._activeAudio = null;
-      this._audioElement = null;
-      this._currentTrack = null;
-      this._loopTimer = null;
-      this._loopOptions = null;
-      this._loopCount = 0;
-      this._eventListeners = {};
+      const probe = () => this.checkHealth(options).catch(error => {
+        console.warn('Proxy health check failed:', error);
+      });
       
-      // Server-side search cache
-      this.searchCache = {};
+      this._healthTimer = setInterval(probe, options.interval || 5 * 60 * 1000);
       
-      // Initialize Web Worker if supported
-      this._initializeWebWorker();
-    }
-
-    /**
-     * Initialize Web Worker for fetching
-     * @private
-     */
-    _initializeWebWorker() {
-      if (typeof Worker === 'undefined') {
-        this._hasWorker = false;
-        return;
+      // Don't keep Node processes alive just for health checks
+      if (this._healthTimer && typeof this._healthTimer.unref === 'function') {
+        this._healthTimer.unref();
       }
       
-      try {
-        // Create an inline worker with the fetch proxy code
-        const workerBlob = new Blob([`
-          // Fetch proxy worker
-          self.addEventListener('message', async function(e) {
-            const { id, url, options } = e.data;
-            
-            try {
-              const response = await fetch(url, options);
-              const contentType = response.headers.get('content-type');
-              
-              let data;
-              if (contentType && contentType.includes('application/json')) {
-                data = await response.json();
-              } else {
-                data = await response.text();
-              }
-              
-              self.postMessage({
-                id,
-                success: true,
-                data,
-                status: response.status,
-                statusText: response.statusText
-              });
-            } catch (error) {
-              self.postMessage({
-                id,
-                success: false,
-                error: error.message
-              });
-            }
-          });
-        `], { type: 'application/javascript' });
-
-        this._worker = new Worker(URL.createObjectURL(workerBlob));
-        this._workerRequests = {};
-        this._requestId = 0;
-        
-        this._worker.onmessage = (event) => {
-          const { id, success, data, error } = event.data;
-          
-          if (this._workerRequests[id]) {
-            if (success) {
-              this._workerRequests[id].resolve(data);
-            } else {
-              this._workerRequests[id].reject(new Error(error));
-            }
-            
-            delete this._workerRequests[id];
-          }
-        };
-        
-        this._hasWorker = true;
-      } catch (e) {
-        console.warn('Web Worker initialization failed:', e);
-        this._hasWorker = false;
-      }
+      probe();
     }
-    
+
     /**
-     * Fetch using Web Worker to avoid CORS issues
-     * @private
+     * Stop background health checks
      */
-    _fetchWithWorker(url, options) {
-      if (!this._hasWorker) {
-        return Promise.reject(new Error('Web Worker not available'));
+    stopHealthChecks() {
+      if (this._healthTimer) {
+        clearInterval(this._healthTimer);
+        this._healthTimer = null;
       }
-      
-      return new Promise((resolve, reject) => {
-        const id = this._requestId++;
-        
-        this._workerRequests[id] = { resolve, reject };
-        this._worker.postMessage({ id, url, options });
-      });
     }
 
     /**
-     * Make an HTTP request with multiple fallback strategies
-     * @private
+     * Run one round of proxy probes
+     * @param {Object} options - See startHealthChecks()
+     * @returns {Promise<UdioProxyStatus[]>} Status after probing
      */
-    async _fetchWithFallback(url, options, retryCount = 0) {
-      const method = options.method || 'GET';
+    async checkHealth(options) {
+      const due = this.proxies.filter(proxy =>
+        proxy.type !== 'jsonp' &&
+        proxy.methods.indexOf('GET') !== -1 &&
+        proxy.status !== 'working' &&
+        !this.isCoolingDown(proxy)
+      );
       
-      // Try direct fetch first if in direct or auto mode
-      if ((this.corsMode === 'direct' || this.corsMode === 'auto') && retryCount === 0) {
+      await Promise.all(due.map(async proxy => {
         try {
-          const response = await fetch(url, options);
-          if (response.ok) {
-            return await this._processResponse(response);
-          }
+          await options.request(proxy.format(options.url), { method: 'GET' });
+          this.markWorking(proxy.name);
         } catch (error) {
-          console.warn('Direct request failed:', error);
+          this.markFailed(proxy.name, error);
         }
-      }
+      }));
       
-      // If direct failed or in proxy mode, try the current proxy
-      if (this.corsMode === 'proxy' || this.corsMode === 'auto') {
-        const currentProxy = this.proxyManager.getCurrentProxy();
-        
-        try {
-          let result;
-          
-          // Special case for JSONP
-          if (currentProxy.name === 'jsonp') {
-            if (method !== 'GET') {
-              throw new Error('JSONP only supports GET requests');
-            }
-            
-            // Extract query params from body for GET requests
-            const params = {};
-            if (options.body) {
-              try {
-                Object.assign(params, JSON.parse(options.body));
-              } catch (e) {
-                console.warn('Failed to parse body for JSONP request:', e);
-              }
-            }
-            
-            result = await this.jsonpHandler.request(url, params);
-          } 
-          // Try Web Worker approach
-          else if (this._hasWorker) {
-            try {
-              // Use the Web Worker to make the request via proxy
-              const proxyUrl = currentProxy.format(url);
-              result = await this._fetchWithWorker(proxyUrl, options);
-              this.proxyManager.markCurrentAsWorking();
-              return result;
-            } catch (workerError) {
-              console.warn('Worker fetch failed:', workerError);
-              throw workerError; // Re-throw to trigger the retry
-            }
-          }
-          // Standard fetch with proxy
-          else {
-            const proxyUrl = currentProxy.format(url);
-            const response = await fetch(proxyUrl, options);
-            
-            if (response.ok) {
-              this.proxyManager.markCurrentAsWorking();
-              return await this._processResponse(response);
-            } else {
-              throw new Error(`Proxy request failed with status ${response.status}`);
-            }
-          }
-          
-          return result;
-        } catch (error) {
-          console.warn(`Proxy request failed (${currentProxy.name}):`, error);
-          this.proxyManager.markCurrentAsFailed();
-          
-          // If we haven't exceeded max retries, try the next proxy
-          if (retryCount < this.maxRetries) {
-            this.proxyManager.getNextProxy();
-            return this._fetchWithFallback(url, options, retryCount + 1);
-          }
+      return this.getStatus();
+    }
+
+    _getProxy(name) {
+      return this.proxies.find(proxy => proxy.name === name) || null;
+    }
+  }
+
+  /**
+   * In-memory storage adapter for the search cache
+   */
+  class MemoryCacheStorage {
+    constructor() {
+      this.entries = new Map();
+    }
+
+    get(key) {
+      return this.entries.get(key);
+    }
+
+    set(key, entry) {
+      this.entries.set(key, entry);
+    }
+
+    delete(key) {
+      this.entries.delete(key);
+    }
+
+    keys() {
+      return Array.from(this.entries.keys());
+    }
+
+    clear() {
+      this.entries.clear();
+    }
+  }
+
+  /**
+   * localStorage adapter for the search cache; survives page reloads
+   */
+  class LocalStorageCacheStorage {
+    /**
+     * @param {string} [namespace='udio-player'] - Prefix for stored keys
+     */
+    constructor(namespace = 'udio-player') {
+      this.prefix = `${namespace}:search:`;
+    }
+
+    get(key) {
+      const raw = localStorage.getItem(this.prefix + key);
+      return raw ? JSON.parse(raw) : undefined;
+    }
+
+    set(key, entry) {
+      localStorage.setItem(this.prefix + key, JSON.stringify(entry));
+    }
+
+    delete(key) {
+      localStorage.removeItem(this.prefix + key);
+    }
+
+    keys() {
+      const keys = [];
+      for (let i = 0; i < localStorage.length; i++) {
+        const key = localStorage.key(i);
+        if (key && key.startsWith(this.prefix)) {
+          keys.push(key.slice(this.prefix.length));
         }
       }
-      
-      // Last resort - try direct request again with minimal options
-      try {
-        console.warn('All proxy attempts failed. Trying simplified direct request as last resort');
-        
-        // Clone options but remove potentially problematic headers
-        const simplifiedOptions = {
-          method: options.method,
-          mode: 'cors',
-          cache: 'no-cache',
-          credentials: 'omit',
-        };
-        
-        if (options.body) {
-          simplifiedOptions.body = options.body;
-          simplifiedOptions.headers = {
-            'Content-Type': 'application/json'
-          };
-        }
-        
-        const response = await fetch(url, simplifiedOptions);
-        return await this._processResponse(response);
-      } catch (error) {
-        console.error('All request methods failed:', error);
-        throw new Error('Failed to fetch data after all attempts');
+      return keys;
+    }
+
+    clear() {
+      for (const key of this.keys()) {
+        this.delete(key);
       }
     }
-    
+  }
+
+  /**
+   * IndexedDB adapter for the search cache; survives reloads and holds more than localStorage
+   */
+  class IndexedDBCacheStorage {
     /**
-     * Process a fetch response
-     * @private
+     * @param {string} [namespace='udio-player'] - Database name
      */
-    async _processResponse(response) {
-      const contentType = response.headers.get('content-type');
-      if (contentType && contentType.includes('application/json')) {
-        return await response.json();
+    constructor(namespace = 'udio-player') {
+      this.dbName = namespace;
+      this.storeName = 'search-cache';
+      this._db = null;
+    }
+
+    get(key) {
+      return this._request('readonly', store => store.get(key));
+    }
+
+    set(key, entry) {
+      return this._request('readwrite', store => store.put(entry, key));
+    }
+
+    delete(key) {
+      return this._request('readwrite', store => store.delete(key));
+    }
+
+    keys() {
+      return this._request('readonly', store => store.getAllKeys());
+    }
+
+    clear() {
+      return this._request('readwrite', store => store.clear());
+    }
+
+    _open() {
+      if (!this._db) {
+        this._db = new Promise((resolve, reject) => {
+          const request = indexedDB.open(this.dbName, 1);
+          request.onupgradeneeded = () => {
+            request.result.createObjectStore(this.storeName);
+          };
+          request.onsuccess = () => resolve(request.result);
+          request.onerror = () => reject(request.error);
+        });
       }
-      return await response.text();
+      return this._db;
+    }
+
+    async _request(mode, operation) {
+      const db = await this._open();
+      
+      return new Promise((resolve, reject) => {
+        const request = operation(db.transaction(this.storeName, mode).objectStore(this.storeName));
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
     }
+  }
 
+  /**
+   * Bounded LRU cache with per-entry TTL on top of a storage adapter
+   */
+  class SearchCache {
     /**
-     * Search for tracks in Udio's API
-     * @param {UdioSearchOptions} [options] - Search options
-     * @returns {Promise<UdioTrack[]>} Array of matching tracks
+     * @param {UdioCacheOptions} [options] - Cache options
      */
-    async search(options = {}) {
-      // Generate cache key for this search
-      const cacheKey = JSON.stringify({
-        term: options.searchTerm || '',
-        tags: options.tags || [],
-        sort: options.sort,
-        maxAge: options.maxAgeInHours,
-        userId: options.userId,
-        page: options.page || 0,
-        size: options.maxResults || this.pageSize
-      });
-      
-      // Check if we have a cached result
-      if (this.searchCache[cacheKey]) {
-        return this.searchCache[cacheKey];
+    constructor(options = {}) {
+      this.maxEntries = options.maxEntries || 100;
+      this.ttl = options.ttl !== undefined ? options.ttl : 10 * 60 * 1000; // 10 minutes
+      this.storage = SearchCache.createStorage(options.storage, options.namespace);
+    }
+
+    /**
+     * Create a storage adapter from a name, falling back to memory where the API is missing
+     * @param {string|UdioCacheStorage} [storage='memory'] - Adapter name or custom adapter
+     * @param {string} [namespace] - Key prefix / database name
+     * @returns {UdioCacheStorage} The adapter
+     */
+    static createStorage(storage, namespace) {
+      if (storage && typeof storage === 'object') {
+        return storage;
       }
       
-      const searchQuery = {
-        sort: options.sort || null,
-        maxAgeInHours: options.maxAgeInHours || 168, // 1 week default
-        searchTerm: options.searchTerm || '',
-      };
+      if (storage === 'localStorage' && typeof localStorage !== 'undefined') {
+        return new LocalStorageCacheStorage(namespace);
+      }
       
-      if (options.tags && options.tags.length > 0) {
-        searchQuery.containsTags = options.tags;
+      if (storage === 'indexedDB' && typeof indexedDB !== 'undefined') {
+        return new IndexedDBCacheStorage(namespace);
       }
       
-      if (options.userId) {
-        searchQuery.userId = options.userId;
+      if (storage && storage !== 'memory') {
+        console.warn(`Cache storage "${storage}" is not available, using memory`);
       }
-
-      const postData = JSON.stringify({
-        searchQuery: searchQuery,
-        pageParam: options.page || 0,
-        pageSize: options.maxResults || this.pageSize
-      });
       
+      return new MemoryCacheStorage();
+    }
+
+    /**
+     * Get a cached value
+     * @param {string} key - Cache key
+     * @returns {Promise<*>} The value, or undefined if missing or expired
+     */
+    async get(key) {
       try {
-        // Use our enhanced fetch method
-        const result = await this._fetchWithFallback(this.searchEndpoint, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-          },
-          body: postData
-        });
-        
-        // If the response is a string (from some proxies), try to parse it
-        let data = result;
-        if (typeof result === 'string') {
-          try {
-            data = JSON.parse(result);
-          } catch (e) {
-            console.error('Failed to parse search result:', e);
-            throw new Error('Invalid response format');
-          }
-        }
+        const entry = await this.storage.get(key);
+        if (!entry) return undefined;
         
-        if (!data.data || !Array.isArray(data.data)) {
-          console.error('Unexpected response format:', data);
-          throw new Error('Invalid response structure');
+        if (entry.expiresAt <= Date.now()) {
+          await this.storage.delete(key);
+          return undefined;
         }
         
-        // Format the tracks
-        const tracks = data.data.map(song => ({
-          id: song.id,
-          artist: song.artist,
-          title: song.title,
-          url: song.song_path,
-          tags: song.tags || [],
-          image: song.image_path,
-          duration: song.duration,
-          lyrics: song.lyrics,
-          publishedAt: song.published_at,
-          likes: song.likes || 0,
-          plays: song.plays || 0
-        }));
-        
-        // Cache the result
-        this.searchCache[cacheKey] = tracks;
+        // Touch the entry so it counts as recently used
+        entry.lastAccess = Date.now();
+        await this.storage.set(key, entry);
         
-        return tracks;
+        return entry.value;
       } catch (error) {
-        console.error('Error searching Udio:', error);
-        
-        // As a last fallback, provide some demo tracks so UI isn't empty
-        return this._getDemoTracks();
+        console.warn('Search cache read failed:', error);
+        return undefined;
       }
     }
-    
+
     /**
-     * Get fallback demo tracks if all else fails
-     * @private
+     * Store a value
+     * @param {string} key - Cache key
+     * @param {*} value - JSON-serializable value
+     * @param {number} [ttl] - Lifetime in milliseconds (defaults to the cache's ttl)
      */
-    _getDemoTracks() {
-      return [
-        {
-          id: 'demo1',
-          artist: 'Demo Artist',
-          title: 'Fallback Track 1',
-          url: 'https://dl.dropbox.com/s/jemg8iu17ibr3p0/bensound-summer.mp3',
-          tags: ['demo', 'fallback'],
-          image: 'https://picsum.photos/id/1/300/300',
-          duration: 217,
-        },
-        {
-          id: 'demo2',
-          artist: 'Demo Artist',
-          title: 'Fallback Track 2',
-          url: 'https://dl.dropbox.com/s/zydq2wbcyjeavxu/bensound-acousticbreeze.mp3',
-          tags: ['demo', 'fallback'],
-          image: 'https://picsum.photos/id/2/300/300', 
-          duration: 166,
-        }
-      ];
+    async set(key, value, ttl = this.ttl) {
+      const now = Date.now();
+      
+      try {
+        await this.storage.set(key, { value, expiresAt: now + ttl, lastAccess: now });
+        await this._evict();
+      } catch (error) {
+        console.warn('Search cache write failed:', error);
+      }
     }
 
     /**
-     * Load and prepare a track for playback
-     * @param {UdioTrack|string} track - Track object or URL to load
-     * @param {UdioAudioOptions} [options] - Audio options
-     * @returns {Promise<HTMLAudioElement>} The audio element
+     * Remove all cached entries
      */
-    async loadTrack(track, options = {}) {
-      // Clean up any existing audio
-      this.stop();
+    async clear() {
+      await this.storage.clear();
+    }
+
+    async _evict() {
+      const keys = await this.storage.keys();
+      if (keys.length <= this.maxEntries) return;
       
-      let trackUrl;
-      if (typeof track === 'string') {
-        trackUrl = track;
-        this._currentTrack = { url: track };
-      } else {
-        trackUrl = track.url;
-        this._currentTrack = track;
+      const now = Date.now();
+      const live = [];
+      
+      for (const key of keys) {
+        const entry = await this.storage.get(key);
+        if (!entry || entry.expiresAt <= now) {
+          await this.storage.delete(key);
+        } else {
+          live.push({ key, lastAccess: entry.lastAccess });
+        }
       }
       
-      // Create new audio element
-      this._audioElement = new Audio();
+      // Drop the least recently used entries beyond the limit
+      live.sort((a, b) => a.lastAccess - b.lastAccess);
+      for (const { key } of live.slice(0, Math.max(0, live.length - this.maxEntries))) {
+        await this.storage.delete(key);
+      }
+    }
+  }
+
+  /**
+   * @typedef {Object} UdioPrefetchOptions
+   * @property {('cache'|'blob')} [storage='cache'] - Cache Storage (persists across reloads) or in-memory blobs
+   * @property {number} [budget=104857600] - Maximum bytes of audio to keep locally (default 100 MB)
+   * @property {string} [cacheName='udio-player-audio'] - Cache Storage name
+   */
+
+  /**
+   * How many object URLs for files in Cache Storage stay alive (the playing track, the one
+   * crossfading in and one being decoded)
+   */
+  const MAX_LOCAL_OBJECT_URLS = 3;
+
+  /**
+   * Downloads audio files ahead of playback into Cache Storage or blob URLs,
+   * keeping the total size within a budget (least recently used files are evicted)
+   */
+  class AudioPrefetcher {
+    /**
+     * @param {UdioPrefetchOptions} [options] - Prefetch options
+     */
+    constructor(options = {}) {
+      this.budget = options.budget || 100 * 1024 * 1024;
+      this.cacheName = options.cacheName || 'udio-player-audio';
+      this.useCacheStorage = options.storage !== 'blob' && typeof caches !== 'undefined';
+      this.resolveUrl = options.resolveUrl || (url => url);
       
-      // Apply options
-      this._audioElement.volume = options.volume !== undefined ? options.volume : 1.0;
-      this._audioElement.loop = options.loop === true;
-      this._audioElement.autoplay = options.autoplay === true;
-      this._audioElement.crossOrigin = "anonymous"; // Enable CORS for audio element
+      this._entries = new Map(); // url -> { size, lastUsed, objectUrl }
+      this._pending = new Map();
+      this._reserved = new Map(); // url -> expected bytes of downloads in flight
+      this._liveObjectUrls = []; // Cache Storage entries with an object URL, oldest first
+      this._indexRestored = null;
+    }
+
+    /**
+     * Download an audio file unless it's already stored locally
+     * @param {string} url - Audio URL
+     * @param {function({loaded: number, total: number})} [onProgress] - Download progress callback
+     * @returns {Promise<boolean>} Whether the file is now available locally
+     */
+    async prefetch(url, onProgress) {
+      await this._restoreIndex();
       
-      if (options.playbackRate) {
-        this._audioElement.playbackRate = options.playbackRate;
+      if (this._entries.has(url)) {
+        const entry = this._entries.get(url);
+        if (onProgress) onProgress({ loaded: entry.size, total: entry.size });
+        return true;
       }
       
-      // Set up event listeners
-      this._setupEventListeners();
-      
-      // Load the track directly (audio elements typically don't have CORS issues)
-      try {
-        this._audioElement.src = trackUrl;
-        
-        // Wrap loading in a promise
-        await new Promise((resolve, reject) => {
-          this._audioElement.addEventListener('canplaythrough', resolve, {once: true});
-          this._audioElement.addEventListener('error', reject, {once: true});
-          this._audioElement.load();
-        });
-        
-        return this._audioElement;
-      } catch (error) {
-        console.error('Error loading track:', error);
-        throw error;
+      if (!this._pending.has(url)) {
+        const pending = this._download(url, onProgress)
+          .then(blob => this._store(url, blob))
+          .finally(() => {
+            this._pending.delete(url);
+            this._reserved.delete(url);
+          });
+        this._pending.set(url, pending);
       }
+      
+      return this._pending.get(url);
     }
 
     /**
-     * Get a single track by matching keywords/tags
-     * @param {string|string[]} keywords - Keywords or tags to search for
-     * @param {UdioSearchOptions} [options] - Additional search options
-     * @returns {Promise<UdioTrack|null>} A matching track or null if none found
+     * Get a local object URL for a stored file
+     * @param {string} url - Audio URL
+     * @returns {Promise<string|null>} Object URL, or null if the file isn't stored locally
      */
-    async getTrack(keywords, options = {}) {
-      const searchOptions = { ...options };
+    async getLocalUrl(url) {
+      await this._restoreIndex();
       
-      if (typeof keywords === 'string') {
-        searchOptions.searchTerm = keywords;
-      } else if (Array.isArray(keywords)) {
-        searchOptions.tags = keywords;
+      const entry = this._entries.get(url);
+      if (!entry) return null;
+      
+      entry.lastUsed = Date.now();
+      
+      if (!this.useCacheStorage) {
+        return entry.objectUrl;
       }
       
-      searchOptions.maxResults = 1;
+      // One object URL per stored file, shared by concurrent lookups
+      if (!entry.objectUrlPending) {
+        entry.objectUrlPending = caches.open(this.cacheName)
+          .then(cache => cache.match(url))
+          .then(async response => {
+            if (!response) return null;
+            const blob = await response.blob();
+            return this._entries.get(url) === entry ? URL.createObjectURL(blob) : null;
+          })
+          .then(objectUrl => {
+            entry.objectUrl = objectUrl;
+            if (!objectUrl) {
+              entry.objectUrlPending = null;
+              if (this._entries.get(url) === entry) this._entries.delete(url);
+            }
+            return objectUrl;
+          }, error => {
+            entry.objectUrlPending = null;
+            throw error;
+          });
+      }
       
-      const tracks = await this.search(searchOptions);
-      return tracks.length > 0 ? tracks[0] : null;
+      const objectUrl = await entry.objectUrlPending;
+      if (objectUrl) this._trackObjectUrl(url);
+      return objectUrl;
     }
 
     /**
-     * Get current track information
+     * Whether a file is stored locally
+     * @param {string} url - Audio URL
+     * @returns {boolean}
      */
-    getCurrentTrack() {
-      return this._currentTrack;
+    has(url) {
+      return this._entries.has(url);
     }
 
     /**
-     * Play a track based on keywords or directly by URL/object
-     * @param {string|string[]|UdioTrack} input - Keywords, tags, track object or URL
-     * @param {UdioAudioOptions} [options] - Audio options
-     * @returns {Promise<HTMLAudioElement>} The audio element
+     * Get the number of bytes stored locally
+     * @returns {number}
      */
-    async play(input, options = {}) {
-      let track;
+    getUsage() {
+      let total = 0;
+      for (const entry of this._entries.values()) {
+        total += entry.size;
+      }
+      return total;
+    }
+
+    /**
+     * Remove all locally stored files
+     */
+    async clear() {
+      for (const url of Array.from(this._entries.keys())) {
+        await this._remove(url);
+      }
       
-      // If input is a string or array, search for matching track
-      if (typeof input === 'string' && input.startsWith('http')) {
-        track = { url: input };
-      } else if (typeof input === 'string' || Array.isArray(input)) {
-        track = await this.getTrack(input);
-        if (!track) {
-          throw new Error('No matching track found');
+      if (this.useCacheStorage) {
+        await caches.delete(this.cacheName);
+      }
+    }
+
+    async _download(url, onProgress) {
+      const response = await fetch(this.resolveUrl(url));
+      if (!response.ok) {
+        throw new Error(`Audio download failed with status ${response.status}`);
+      }
+      
+      const total = parseInt(response.headers.get('content-length'), 10) || 0;
+      
+      // Hold the expected size against the budget while the body downloads
+      if (total && total <= this.budget) {
+        this._reserved.set(url, total);
+        await this._makeRoom(total, url);
+      }
+      
+      if (!response.body || !response.body.getReader) {
+        const blob = await response.blob();
+        if (onProgress) onProgress({ loaded: blob.size, total: blob.size });
+        return blob;
+      }
+      
+      // Read the stream ourselves so progress can be reported
+      const reader = response.body.getReader();
+      const chunks = [];
+      let loaded = 0;
+      
+      for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        
+        chunks.push(value);
+        loaded += value.length;
+        if (onProgress) onProgress({ loaded, total: total || loaded });
+      }
+      
+      return new Blob(chunks, { type: response.headers.get('content-type') || 'audio/mpeg' });
+    }
+
+    async _store(url, blob) {
+      if (blob.size > this.budget) {
+        console.warn(`Audio file exceeds prefetch budget, not storing: ${url}`);
+        return false;
+      }
+      
+      await this._makeRoom(blob.size, url);
+      
+      const entry = { size: blob.size, lastUsed: Date.now(), objectUrl: null };
+      
+      if (this.useCacheStorage) {
+        const cache = await caches.open(this.cacheName);
+        await cache.put(url, new Response(blob, {
+          headers: {
+            'Content-Type': blob.type,
+            'Content-Length': String(blob.size)
+          }
+        }));
+      } else {
+        entry.objectUrl = URL.createObjectURL(blob);
+      }
+      
+      this._entries.set(url, entry);
+      return true;
+    }
+
+    async _makeRoom(size, url) {
+      // Other downloads in flight will need their space too
+      let usage = this.getUsage();
+      for (const [reservedUrl, bytes] of this._reserved) {
+        if (reservedUrl !== url) usage += bytes;
+      }
+      
+      const oldestFirst = Array.from(this._entries.entries())
+        .sort((a, b) => a[1].lastUsed - b[1].lastUsed);
+      
+      for (const [storedUrl, entry] of oldestFirst) {
+        if (usage + size <= this.budget) break;
+        
+        usage -= entry.size;
+        await this._remove(storedUrl);
+      }
+    }
+
+    _trackObjectUrl(url) {
+      // Object URLs pin the file in memory; only the most recently used few are kept
+      this._liveObjectUrls = this._liveObjectUrls.filter(liveUrl => liveUrl !== url);
+      this._liveObjectUrls.push(url);
+      
+      while (this._liveObjectUrls.length > MAX_LOCAL_OBJECT_URLS) {
+        const entry = this._entries.get(this._liveObjectUrls.shift());
+        if (entry && entry.objectUrl) {
+          URL.revokeObjectURL(entry.objectUrl);
+          entry.objectUrl = null;
+          entry.objectUrlPending = null;
         }
+      }
+    }
+
+    async _remove(url) {
+      const entry = this._entries.get(url);
+      if (!entry) return;
+      
+      if (entry.objectUrl) {
+        URL.revokeObjectURL(entry.objectUrl);
+      }
+      
+      this._entries.delete(url);
+      this._liveObjectUrls = this._liveObjectUrls.filter(liveUrl => liveUrl !== url);
+      
+      if (this.useCacheStorage) {
+        const cache = await caches.open(this.cacheName);
+        await cache.delete(url);
+      }
+    }
+
+    _restoreIndex() {
+      // Files stored by a previous session are still in Cache Storage
+      if (!this._indexRestored) {
+        this._indexRestored = !this.useCacheStorage ? Promise.resolve() : caches.open(this.cacheName)
+          .then(cache => cache.keys().then(requests => Promise.all(requests.map(request =>
+            cache.match(request).then(response => {
+              if (response && !this._entries.has(request.url)) {
+                this._entries.set(request.url, {
+                  size: parseInt(response.headers.get('content-length'), 10) || 0,
+                  lastUsed: 0,
+                  objectUrl: null
+                });
+              }
+            })
+          ))))
+          .catch(error => {
+            console.warn('Failed to restore prefetched audio index:', error);
+          });
+      }
+      
+      return this._indexRestored;
+    }
+  }
+
+  /**
+   * Handles JSONP requests as a fallback method
+   */
+  class JsonpHandler {
+    constructor() {
+      this.callbackCounter = 0;
+    }
+
+    /**
+     * Create a JSONP request
+     * @param {string} url - Base URL
+     * @param {Object} params - URL parameters
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Aborts the request and removes the script and callback
+     * @returns {Promise} Promise that resolves with the response
+     */
+    request(url, params = {}, options = {}) {
+      const { signal } = options;
+      
+      return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) {
+          reject(signal.reason || createAbortError());
+          return;
+        }
+        
+        // Create a unique callback name
+        const callbackName = `jsonpCallback_${Date.now()}_${this.callbackCounter++}`;
+        let script = null;
+        
+        const cleanup = () => {
+          if (script && script.parentNode) {
+            script.parentNode.removeChild(script);
+          }
+          delete window[callbackName];
+          
+          if (signal) {
+            signal.removeEventListener('abort', onAbort);
+          }
+        };
+        
+        const onAbort = () => {
+          cleanup();
+          // A script that still loads later must not hit an undefined callback
+          window[callbackName] = () => {
+            delete window[callbackName];
+          };
+          reject(signal.reason || createAbortError());
+        };
+        
+        // Create global callback function
+        window[callbackName] = (data) => {
+          // Clean up
+          cleanup();
+          resolve(data);
+        };
+        
+        // Add callback parameter to URL
+        const fullUrl = this._buildUrl(url, {...params, callback: callbackName});
+        
+        // Create script element
+        script = document.createElement('script');
+        script.src = fullUrl;
+        script.onerror = (error) => {
+          cleanup();
+          reject(new Error('JSONP request failed'));
+        };
+        
+        if (signal) {
+          signal.addEventListener('abort', onAbort, { once: true });
+        }
+        
+        // Add to document to trigger request
+        document.body.appendChild(script);
+      });
+    }
+    
+    /**
+     * Build URL with query parameters
+     */
+    _buildUrl(url, params) {
+      const queryString = Object.entries(params)
+        .map(([key, value]) => `${key}=${encodeURIComponent(value)}`)
+        .join('&');
+        
+      return url + (url.includes('?') ? '&' : '?') + queryString;
+    }
+  }
+
+  /**
+   * @typedef {Object} UdioRequestOptions
+   * @property {string} [method='GET'] - HTTP method
+   * @property {Object<string, string>} [headers] - Request headers
+   * @property {string} [body] - Request body
+   * @property {AbortSignal} [signal] - Aborts the request
+   */
+
+  /**
+   * Create the error used to reject aborted requests
+   */
+  function createAbortError(message = 'The operation was aborted') {
+    const error = new Error(message);
+    error.name = 'AbortError';
+    return error;
+  }
+
+  /**
+   * Create the error used to reject requests that took too long
+   */
+  function createTimeoutError(timeout) {
+    const error = new Error(`Request timed out after ${timeout} ms`);
+    error.name = 'TimeoutError';
+    return error;
+  }
+
+  /**
+   * Derive a signal that aborts when the given signal does or when the timeout passes
+   * @param {AbortSignal} [signal] - Signal to follow
+   * @param {number} [timeout] - Milliseconds before aborting with a TimeoutError
+   * @returns {{signal: (AbortSignal|undefined), dispose: function()}} The signal and a cleanup function
+   */
+  function linkSignal(signal, timeout) {
+    if ((!signal && !timeout) || typeof AbortController === 'undefined') {
+      return { signal, dispose() {} };
+    }
+    
+    const controller = new AbortController();
+    const abort = (reason) => {
+      if (!controller.signal.aborted) controller.abort(reason);
+    };
+    const onAbort = () => abort(signal.reason || createAbortError());
+    
+    if (signal) {
+      if (signal.aborted) {
+        onAbort();
       } else {
-        track = input;
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+    }
+    
+    const timer = timeout ? setTimeout(() => abort(createTimeoutError(timeout)), timeout) : null;
+    
+    return {
+      signal: controller.signal,
+      dispose() {
+        clearTimeout(timer);
+        if (signal) signal.removeEventListener('abort', onAbort);
+      }
+    };
+  }
+
+  /**
+   * Whether an error comes from an aborted request (not a timeout)
+   */
+  function isAbortError(error) {
+    return !!error && error.name === 'AbortError';
+  }
+
+  /**
+   * @typedef {Object} UdioTransport
+   * Sends HTTP requests for the player. Resolves with the parsed JSON body (or text
+   * for non-JSON responses) and rejects on network errors and non-2xx statuses.
+   * @property {function(string, UdioRequestOptions): Promise<*>} request - Send a request
+   */
+
+  /**
+   * Read a fetch Response as JSON or text, depending on its content type
+   */
+  function readResponseBody(response) {
+    const contentType = response.headers.get('content-type');
+    if (contentType && contentType.includes('application/json')) {
+      return response.json();
+    }
+    return response.text();
+  }
+
+  /**
+   * Transport using the global fetch()
+   */
+  class FetchTransport {
+    async request(url, options = {}) {
+      const response = await fetch(url, options);
+      if (!response.ok) {
+        throw new Error(`Request failed with status ${response.status}`);
+      }
+      return readResponseBody(response);
+    }
+  }
+
+  /**
+   * Transport that runs fetch() in an inline Web Worker
+   */
+  class WorkerTransport {
+    constructor() {
+      // Create an inline worker with the fetch proxy code
+      const workerBlob = new Blob([`
+        // Fetch proxy worker
+        const controllers = {};
+        
+        self.addEventListener('message', async function(e) {
+          const { id, url, options, abort } = e.data;
+          
+          if (abort) {
+            if (controllers[id]) controllers[id].abort();
+            return;
+          }
+          
+          controllers[id] = new AbortController();
+          
+          try {
+            const response = await fetch(url, { ...options, signal: controllers[id].signal });
+            const contentType = response.headers.get('content-type');
+            
+            let data;
+            if (contentType && contentType.includes('application/json')) {
+              data = await response.json();
+            } else {
+              data = await response.text();
+            }
+            
+            self.postMessage({
+              id,
+              success: response.ok,
+              data,
+              error: response.ok ? undefined : 'Request failed with status ' + response.status,
+              status: response.status,
+              statusText: response.statusText
+            });
+          } catch (error) {
+            self.postMessage({
+              id,
+              success: false,
+              error: error.message
+            });
+          } finally {
+            delete controllers[id];
+          }
+        });
+      `], { type: 'application/javascript' });
+
+      this._worker = new Worker(URL.createObjectURL(workerBlob));
+      this._requests = {};
+      this._requestId = 0;
+      
+      this._worker.onmessage = (event) => {
+        const { id, success, data, error } = event.data;
+        
+        if (this._requests[id]) {
+          if (success) {
+            this._requests[id].resolve(data);
+          } else {
+            this._requests[id].reject(new Error(error));
+          }
+          
+          delete this._requests[id];
+        }
+      };
+    }
+
+    /**
+     * Whether Web Workers can be created in this environment
+     * @returns {boolean}
+     */
+    static isSupported() {
+      return typeof Worker !== 'undefined' && typeof Blob !== 'undefined' && typeof URL !== 'undefined';
+    }
+
+    request(url, options = {}) {
+      const { signal } = options;
+      
+      return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) {
+          reject(signal.reason || createAbortError());
+          return;
+        }
+        
+        const id = this._requestId++;
+        
+        const onAbort = () => {
+          // Let the worker cancel its fetch, and stop waiting for it here
+          this._worker.postMessage({ id, abort: true });
+          delete this._requests[id];
+          reject(signal.reason || createAbortError());
+        };
+        
+        const settle = (callback) => (value) => {
+          if (signal) signal.removeEventListener('abort', onAbort);
+          callback(value);
+        };
+        
+        this._requests[id] = { resolve: settle(resolve), reject: settle(reject) };
+        
+        if (signal) {
+          signal.addEventListener('abort', onAbort, { once: true });
+        }
+        
+        this._worker.postMessage({
+          id,
+          url,
+          options: { method: options.method, headers: options.headers, body: options.body }
+        });
+      });
+    }
+
+    /**
+     * Terminate the worker; pending requests are rejected
+     */
+    terminate() {
+      this._worker.terminate();
+      
+      for (const id of Object.keys(this._requests)) {
+        this._requests[id].reject(new Error('Worker terminated'));
+      }
+      this._requests = {};
+    }
+  }
+
+  /**
+   * Transport using JSONP script injection (GET only). Body fields become query parameters.
+   */
+  class JsonpTransport {
+    /**
+     * @param {JsonpHandler} [handler] - JSONP handler to use
+     */
+    constructor(handler = new JsonpHandler()) {
+      this.handler = handler;
+    }
+
+    request(url, options = {}) {
+      if (options.method && options.method !== 'GET') {
+        return Promise.reject(new Error('JSONP only supports GET requests'));
       }
       
-      // Load and automatically play the track
-      const playOptions = { ...options, autoplay: true };
-      await this.loadTrack(track, playOptions);
+      // Extract query params from body for GET requests
+      const params = {};
+      if (options.body) {
+        try {
+          Object.assign(params, JSON.parse(options.body));
+        } catch (e) {
+          console.warn('Failed to parse body for JSONP request:', e);
+        }
+      }
       
-      return this._audioElement;
+      return this.handler.request(url, params, { signal: options.signal });
+    }
+  }
+
+  /**
+   * In-memory transport for tests: answers requests from registered handlers
+   * and records every request it receives.
+   * @example
+   * const transport = new UdioPlayer.MockTransport();
+   * transport.on(/songs\/search/, () => ({ data: [{ id: '1', title: 'Test', song_path: 'test.mp3' }] }));
+   * const player = new UdioPlayer({ transport });
+   */
+  class MockTransport {
+    constructor() {
+      this.routes = [];
+      this.requests = [];
+    }
+
+    /**
+     * Register a response
+     * @param {string|RegExp|function(Object): boolean} matcher - URL substring, URL pattern or predicate
+     *   receiving the request ({ url, method, headers, body })
+     * @param {*|function(Object): *} response - Response data, or a function returning (or
+     *   throwing, to simulate a failure) the data for a request
+     * @param {Object} [options]
+     * @param {number} [options.delay=0] - Milliseconds to wait before responding
+     * @returns {MockTransport} This transport, for chaining
+     */
+    on(matcher, response, options = {}) {
+      this.routes.push({ matcher, response, delay: options.delay || 0 });
+      return this;
+    }
+
+    /**
+     * Remove all routes and recorded requests
+     */
+    reset() {
+      this.routes = [];
+      this.requests = [];
+    }
+
+    async request(url, options = {}) {
+      const request = {
+        url,
+        method: options.method || 'GET',
+        headers: options.headers || {},
+        body: options.body
+      };
+      this.requests.push(request);
+      
+      // Later registrations take precedence
+      for (let i = this.routes.length - 1; i >= 0; i--) {
+        const { matcher, response, delay } = this.routes[i];
+        
+        const matches = typeof matcher === 'function' ? matcher(request)
+          : matcher instanceof RegExp ? matcher.test(url)
+          : url.includes(matcher);
+        
+        if (matches) {
+          await this._wait(delay, options.signal);
+          const data = typeof response === 'function' ? await response(request) : response;
+          // Hand out copies so tests can't mutate the registered data through results
+          return data === undefined ? data : JSON.parse(JSON.stringify(data));
+        }
+      }
+      
+      throw new Error(`No mock response for ${request.method} ${url}`);
+    }
+
+    _wait(delay, signal) {
+      return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) {
+          reject(signal.reason || createAbortError());
+          return;
+        }
+        
+        const onAbort = () => {
+          clearTimeout(timer);
+          reject(signal.reason || createAbortError());
+        };
+        const timer = setTimeout(() => {
+          if (signal) signal.removeEventListener('abort', onAbort);
+          resolve();
+        }, delay);
+        
+        if (signal) {
+          signal.addEventListener('abort', onAbort, { once: true });
+        }
+      });
+    }
+  }
+
+  /**
+   * @typedef {Object} UdioMediaElement
+   * The part of the HTMLAudioElement interface the player drives. Audio backends create
+   * these; an HTMLAudioElement is one.
+   * @property {string} src - Audio URL; setting '' unloads it
+   * @property {number} currentTime - Playback position in seconds
+   * @property {number} duration - Length in seconds (NaN until loaded)
+   * @property {number} volume - Volume between 0.0 and 1.0
+   * @property {number} playbackRate - Playback rate
+   * @property {boolean} loop - Whether playback wraps around at the end
+   * @property {boolean} autoplay - Whether playback starts once loaded
+   * @property {boolean} paused - Whether playback is paused
+   * @property {boolean} ended - Whether playback reached the end
+   * @property {{code: number, message: string}|null} error - Why loading failed
+   * @property {function(): Promise<void>} play - Start or resume playback
+   * @property {function(): void} pause - Pause playback
+   * @property {function(): void} load - Load src, then fire 'canplaythrough' or 'error'
+   * @property {function(string, Function, Object=): void} addEventListener - Listen for a media event
+   * @property {function(string, Function): void} removeEventListener - Stop listening for a media event
+   */
+
+  /**
+   * @typedef {Object} UdioClock
+   * Timers the player schedules loop checks and fades with
+   * @property {function(): number} now - Current time in milliseconds
+   * @property {function(Function, number): *} setTimeout - Run a callback once after a delay
+   * @property {function(*): void} clearTimeout - Cancel a timeout
+   * @property {function(Function, number): *} setInterval - Run a callback repeatedly
+   * @property {function(*): void} clearInterval - Cancel an interval
+   */
+
+  /**
+   * @typedef {Object} UdioAudioBackend
+   * Produces the media elements the player plays audio through
+   * @property {function(): UdioMediaElement} createElement - Create an unloaded element
+   * @property {function(): (AudioContext|null)} getAudioContext - Context for crossfades and buffer
+   *   loops, or null when the backend has no Web Audio graph
+   * @property {function(UdioMediaElement, AudioContext): AudioNode} createSourceNode - Node carrying
+   *   an element's output into the player's graph
+   * @property {function(string): Promise<AudioBuffer>} [decode] - Decode an audio file; backends
+   *   that decode anyway let buffer loops and peaks reuse their buffers
+   * @property {function(string=): void} [clearBuffers] - Forget decoded audio for a file (or all)
+   * @property {UdioClock} clock - Timers for loop checks and fades
+   */
+
+  /**
+   * The real clock, backed by the global timer functions
+   * @type {UdioClock}
+   */
+  const systemClock = {
+    now: () => Date.now(),
+    setTimeout: (callback, ms) => setTimeout(callback, ms),
+    clearTimeout: id => clearTimeout(id),
+    setInterval: (callback, ms) => setInterval(callback, ms),
+    clearInterval: id => clearInterval(id)
+  };
+
+  /**
+   * Value of a fade at a point along it
+   * @param {number} from - Starting value
+   * @param {number} to - Final value
+   * @param {number} x - Progress from 0 to 1
+   * @param {string} [curve='linear'] - 'linear', 'equal-power', 'ease-in', 'ease-out' or 'ease-in-out'
+   * @returns {number}
+   */
+  function fadeValue(from, to, x, curve) {
+    switch (curve) {
+      case 'equal-power': {
+        // Keeps perceived loudness constant through a crossfade
+        const weight = to > from ? Math.sin(x * Math.PI / 2) : Math.cos(x * Math.PI / 2);
+        return to > from ? from + (to - from) * weight : to + (from - to) * weight;
+      }
+      case 'ease-in':
+        return from + (to - from) * x * x;
+      case 'ease-out':
+        return from + (to - from) * (1 - (1 - x) * (1 - x));
+      case 'ease-in-out':
+        return from + (to - from) * x * x * (3 - 2 * x);
+      default:
+        return from + (to - from) * x;
+    }
+  }
+
+  /**
+   * Create an AudioContext, if Web Audio is available
+   * @returns {AudioContext|null}
+   */
+  function createAudioContext() {
+    const AudioContextClass = typeof AudioContext !== 'undefined'
+      ? AudioContext
+      : (typeof webkitAudioContext !== 'undefined' ? webkitAudioContext : null);
+    
+    if (!AudioContextClass) return null;
+    
+    try {
+      return new AudioContextClass();
+    } catch (e) {
+      console.warn('Web Audio initialization failed:', e);
+      return null;
+    }
+  }
+
+  /**
+   * Clock that only moves when told to, for deterministic tests
+   * @example
+   * const clock = new UdioPlayer.VirtualClock();
+   * clock.setTimeout(() => console.log('fired'), 1000);
+   * clock.advance(1000); // logs "fired"
+   */
+  class VirtualClock {
+    constructor() {
+      this._now = 0;
+      this._timers = [];
+      this._nextId = 1;
+    }
+
+    now() {
+      return this._now;
+    }
+
+    setTimeout(callback, ms) {
+      return this._addTimer(callback, ms, false);
+    }
+
+    clearTimeout(id) {
+      this._timers = this._timers.filter(timer => timer.id !== id);
+    }
+
+    setInterval(callback, ms) {
+      return this._addTimer(callback, ms, true);
+    }
+
+    clearInterval(id) {
+      this.clearTimeout(id);
+    }
+
+    /**
+     * Move time forward, running every timer that falls due on the way, in order
+     * @param {number} ms - Milliseconds to advance
+     */
+    advance(ms) {
+      const target = this._now + Math.max(0, ms || 0);
+      
+      for (;;) {
+        let next = null;
+        for (const timer of this._timers) {
+          if (!next || timer.time < next.time || (timer.time === next.time && timer.id < next.id)) {
+            next = timer;
+          }
+        }
+        if (!next || next.time > target) break;
+        
+        this._now = next.time;
+        
+        if (next.interval) {
+          next.time += next.interval;
+        } else {
+          this._timers.splice(this._timers.indexOf(next), 1);
+        }
+        
+        next.callback();
+      }
+      
+      this._now = target;
+    }
+
+    _addTimer(callback, ms, repeat) {
+      const delay = Math.max(0, Number(ms) || 0);
+      const timer = {
+        id: this._nextId++,
+        callback,
+        time: this._now + delay,
+        // A zero interval would never let time move on
+        interval: repeat ? Math.max(1, delay) : 0
+      };
+      
+      this._timers.push(timer);
+      return timer.id;
+    }
+  }
+
+  /**
+   * Shared behaviour of the non-DOM media elements: playback position against a
+   * clock, media events, looping and the ended state. Subclasses produce the sound.
+   */
+  class BackendMediaElement {
+    /**
+     * @param {UdioClock} clock - Clock for timeupdate and ended timers
+     */
+    constructor(clock) {
+      this._clock = clock;
+      this._listeners = {};
+      this._src = '';
+      this._volume = 1;
+      this._playbackRate = 1;
+      this._loop = false;
+      this._position = 0; // position when playback last (re)started or paused
+      this._anchor = 0; // _now() at that moment
+      this._endTimer = null;
+      this._tickTimer = null;
+      this._loadToken = 0;
+      this._playWhenReady = false;
+      
+      this.duration = NaN;
+      this.paused = true;
+      this.ended = false;
+      this.error = null;
+      this.autoplay = false;
+    }
+
+    get src() {
+      return this._src;
+    }
+
+    set src(url) {
+      this.pause();
+      this._loadToken++;
+      this._unloadMedia();
+      this._src = url || '';
+      this._position = 0;
+      this._playWhenReady = false;
+      this.duration = NaN;
+      this.ended = false;
+      this.error = null;
+    }
+
+    get currentTime() {
+      if (this.paused) return this._position;
+      
+      const position = this._position + (this._now() - this._anchor) / 1000 * this._playbackRate;
+      
+      if (this._loop && this.duration > 0) {
+        return position % this.duration;
+      }
+      return Math.min(position, this.duration);
+    }
+
+    set currentTime(seconds) {
+      const limit = this.duration > 0 ? this.duration : 0;
+      const position = Math.max(0, Math.min(Number(seconds) || 0, limit));
+      const playing = !this.paused;
+      
+      this._dispatch('seeking');
+      
+      if (playing) {
+        this._stopOutput();
+      }
+      this._position = position;
+      this.ended = false;
+      
+      if (playing) {
+        this._startPlayback();
+      }
+      
+      this._dispatch('seeked');
+      this._dispatch('timeupdate');
+    }
+
+    get volume() {
+      return this._volume;
+    }
+
+    set volume(level) {
+      this._volume = level;
+      this._applyVolume();
+      this._dispatch('volumechange');
+    }
+
+    get playbackRate() {
+      return this._playbackRate;
+    }
+
+    set playbackRate(rate) {
+      this._reanchor();
+      this._playbackRate = rate;
+      this._applyPlaybackRate();
+      this._scheduleEnd();
+      this._dispatch('ratechange');
+    }
+
+    get loop() {
+      return this._loop;
+    }
+
+    set loop(enabled) {
+      this._reanchor();
+      this._loop = !!enabled;
+      this._applyLoop();
+      this._scheduleEnd();
+    }
+
+    play() {
+      if (!this.paused) return Promise.resolve();
+      
+      // Like an audio element, start once the media has loaded
+      if (!(this.duration > 0)) {
+        this._playWhenReady = true;
+        return Promise.resolve();
+      }
+      
+      if (this.ended || this._position >= this.duration) {
+        this._position = 0;
+      }
+      
+      this.paused = false;
+      this.ended = false;
+      this._startPlayback();
+      this._tickTimer = this._clock.setInterval(() => this._dispatch('timeupdate'), 250);
+      
+      this._dispatch('play');
+      this._dispatch('playing');
+      return Promise.resolve();
+    }
+
+    pause() {
+      this._playWhenReady = false;
+      if (this.paused) return;
+      
+      this._position = this.currentTime;
+      this.paused = true;
+      this._stopTimers();
+      this._stopOutput();
+      this._dispatch('pause');
+    }
+
+    load() {
+      const token = ++this._loadToken;
+      const src = this._src;
+      
+      this.error = null;
+      
+      Promise.resolve()
+        .then(() => this._loadMedia(src))
+        .then(duration => {
+          if (token !== this._loadToken) return;
+          
+          this.duration = duration;
+          this._dispatch('loadedmetadata');
+          this._dispatch('canplay');
+          this._dispatch('canplaythrough');
+          
+          if (this.autoplay || this._playWhenReady) {
+            this._playWhenReady = false;
+            this.play();
+          }
+        }, error => {
+          if (token !== this._loadToken) return;
+          
+          // 4 = MEDIA_ERR_SRC_NOT_SUPPORTED
+          this.error = { code: 4, message: (error && error.message) || 'Failed to load audio' };
+          this._dispatch('error');
+        });
+    }
+
+    addEventListener(type, callback, options = {}) {
+      if (!this._listeners[type]) {
+        this._listeners[type] = [];
+      }
+      this._listeners[type].push({ callback, once: !!(options && options.once) });
+    }
+
+    removeEventListener(type, callback) {
+      const listeners = this._listeners[type];
+      if (!listeners) return;
+      
+      const index = listeners.findIndex(listener => listener.callback === callback);
+      if (index !== -1) {
+        listeners.splice(index, 1);
+      }
+    }
+
+    _dispatch(type) {
+      const listeners = this._listeners[type];
+      if (!listeners) return;
+      
+      for (const listener of listeners.slice()) {
+        if (listener.once) {
+          this.removeEventListener(type, listener.callback);
+        }
+        
+        try {
+          listener.callback({ type, target: this });
+        } catch (error) {
+          console.error(`Error in ${type} listener:`, error);
+        }
+      }
+    }
+
+    _now() {
+      return this._clock.now();
+    }
+
+    _startPlayback() {
+      this._anchor = this._now();
+      this._startOutput(this._position);
+      this._scheduleEnd();
+    }
+
+    // Restart position tracking from here, e.g. before the rate changes
+    _reanchor() {
+      if (this.paused) return;
+      
+      this._position = this.currentTime;
+      this._anchor = this._now();
+    }
+
+    _scheduleEnd() {
+      if (this._endTimer !== null) {
+        this._clock.clearTimeout(this._endTimer);
+        this._endTimer = null;
+      }
+      
+      if (this.paused || this._loop || !(this._playbackRate > 0)) return;
+      
+      const remaining = (this.duration - this.currentTime) / this._playbackRate;
+      this._endTimer = this._clock.setTimeout(() => this._onEnded(), Math.max(0, remaining * 1000));
+    }
+
+    _onEnded() {
+      this._endTimer = null;
+      this._position = this.duration;
+      this.paused = true;
+      this.ended = true;
+      this._stopTimers();
+      this._stopOutput();
+      
+      this._dispatch('timeupdate');
+      this._dispatch('pause');
+      this._dispatch('ended');
+    }
+
+    _stopTimers() {
+      if (this._endTimer !== null) {
+        this._clock.clearTimeout(this._endTimer);
+        this._endTimer = null;
+      }
+      if (this._tickTimer !== null) {
+        this._clock.clearInterval(this._tickTimer);
+        this._tickTimer = null;
+      }
+    }
+
+    // Hooks for subclasses
+    _loadMedia(src) { return Promise.reject(new Error('Not implemented')); }
+    _unloadMedia() {}
+    _startOutput(position) {}
+    _stopOutput() {}
+    _applyVolume() {}
+    _applyPlaybackRate() {}
+    _applyLoop() {}
+  }
+
+  /**
+   * Backend playing through HTMLAudioElements (the default)
+   */
+  class HtmlAudioBackend {
+    /**
+     * @param {Object} [options]
+     * @param {AudioContext} [options.context] - Context to use for the Web Audio graph
+     */
+    constructor(options = {}) {
+      this.clock = systemClock;
+      this._context = options.context || null;
+    }
+
+    createElement() {
+      if (typeof Audio === 'undefined') {
+        throw new UdioError('Audio playback needs a browser; use UdioPlayer.UdioClient for search elsewhere, or the null backend in tests');
+      }
+      
+      const element = new Audio();
+      element.crossOrigin = "anonymous"; // Enable CORS for audio element
+      return element;
+    }
+
+    getAudioContext() {
+      if (!this._context) {
+        this._context = createAudioContext();
+      }
+      return this._context;
+    }
+
+    createSourceNode(element, context) {
+      return context.createMediaElementSource(element);
+    }
+  }
+
+  /**
+   * Media element that plays a decoded AudioBuffer
+   */
+  class BufferedAudioElement extends BackendMediaElement {
+    /**
+     * @param {WebAudioBackend} backend - Backend that decodes the audio
+     * @param {AudioContext} context - Context to play in
+     * @param {GainNode} output - Node the element plays into (its volume)
+     */
+    constructor(backend, context, output) {
+      super(backend.clock);
+      this._backend = backend;
+      this._context = context;
+      this._buffer = null;
+      this._source = null;
+      this._output = output;
+    }
+
+    _now() {
+      // Follow the audio hardware rather than the wall clock
+      return this._context.currentTime * 1000;
+    }
+
+    _loadMedia(src) {
+      return this._backend.decode(src).then(buffer => {
+        this._buffer = buffer;
+        return buffer.duration;
+      });
+    }
+
+    _unloadMedia() {
+      this._buffer = null;
+    }
+
+    _startOutput(position) {
+      if (this._context.state === 'suspended') {
+        this._context.resume().catch(() => {});
+      }
+      
+      const source = this._context.createBufferSource();
+      source.buffer = this._buffer;
+      source.loop = this._loop;
+      source.playbackRate.value = this._playbackRate;
+      source.connect(this._output);
+      source.start(0, position);
+      this._source = source;
+    }
+
+    _stopOutput() {
+      if (!this._source) return;
+      
+      try {
+        this._source.stop();
+      } catch (e) {
+        // Already stopped
+      }
+      this._source.disconnect();
+      this._source = null;
+    }
+
+    _applyVolume() {
+      this._output.gain.value = this._volume;
+    }
+
+    _applyPlaybackRate() {
+      if (this._source) {
+        this._source.playbackRate.value = this._playbackRate;
+      }
+    }
+
+    _applyLoop() {
+      if (this._source) {
+        this._source.loop = this._loop;
+      }
+    }
+  }
+
+  /**
+   * Backend that decodes whole tracks and plays them from AudioBuffers.
+   * Seeking is instant and sample-accurate, at the cost of downloading the full file first.
+   */
+  class WebAudioBackend {
+    /**
+     * @param {Object} [options]
+     * @param {AudioContext} [options.context] - Context to play in (created on first use otherwise)
+     */
+    constructor(options = {}) {
+      this.clock = systemClock;
+      this._context = options.context || null;
+      this._buffers = new Map();
+      this._outputs = new WeakMap(); // element -> output node
+    }
+
+    createElement() {
+      const context = this.getAudioContext();
+      if (!context) {
+        throw new UdioError('Web Audio is not available');
+      }
+      
+      // Elements play to the speakers until a player routes them into its graph
+      const output = context.createGain();
+      output.connect(context.destination);
+      
+      const element = new BufferedAudioElement(this, context, output);
+      this._outputs.set(element, output);
+      return element;
+    }
+
+    getAudioContext() {
+      if (!this._context) {
+        this._context = createAudioContext();
+      }
+      return this._context;
+    }
+
+    createSourceNode(element, context) {
+      const output = this._outputs.get(element);
+      if (!output) {
+        throw new UdioError('Element was not created by this backend');
+      }
+      
+      // Take the element's output away from the speakers and hand it to the graph
+      const node = context.createGain();
+      output.disconnect();
+      output.connect(node);
+      return node;
+    }
+
+    /**
+     * Download and decode an audio file, sharing decodes between elements
+     * @param {string} url - Audio file URL
+     * @returns {Promise<AudioBuffer>}
+     */
+    decode(url) {
+      if (!this._buffers.has(url)) {
+        const context = this.getAudioContext();
+        
+        const pending = fetch(url)
+          .then(response => {
+            if (!response.ok) {
+              throw new Error(`Audio request failed with status ${response.status}`);
+            }
+            return response.arrayBuffer();
+          })
+          .then(data => new Promise((resolve, reject) => {
+            // Callback form for older Safari, which doesn't return a promise
+            context.decodeAudioData(data, resolve, reject);
+          }));
+        
+        // Don't keep failed decodes around, so a later attempt can retry
+        pending.catch(() => this._buffers.delete(url));
+        this._buffers.set(url, pending);
+      }
+      
+      return this._buffers.get(url);
+    }
+
+    /**
+     * Forget decoded audio, freeing its memory
+     * @param {string} [url] - File to forget (all files by default)
+     */
+    clearBuffers(url) {
+      if (url === undefined) {
+        this._buffers.clear();
+      } else {
+        this._buffers.delete(url);
+      }
+    }
+  }
+
+  /**
+   * Media element that makes no sound: it only keeps time on its backend's clock
+   */
+  class NullAudioElement extends BackendMediaElement {
+    /**
+     * @param {NullAudioBackend} backend - Backend supplying the clock and track durations
+     */
+    constructor(backend) {
+      super(backend.clock);
+      this._backend = backend;
+    }
+
+    _loadMedia(src) {
+      const duration = this._backend.getDuration(src);
+      
+      if (!(duration > 0)) {
+        return Promise.reject(new Error(`No duration for ${src}`));
+      }
+      return Promise.resolve(duration);
+    }
+  }
+
+  /**
+   * Silent backend for tests and headless environments.
+   * Tracks "play" against a VirtualClock, so loops, seeking and 'ended' can be tested
+   * deterministically in Node: loading completes on the next microtask and time only
+   * moves through advance().
+   * @example
+   * const backend = new UdioPlayer.NullAudioBackend({ duration: 120 });
+   * const player = new UdioPlayer({ backend, transport });
+   * await player.play('https://example.com/track.mp3');
+   * backend.advance(120 * 1000); // 'ended' fires
+   */
+  class NullAudioBackend {
+    /**
+     * @param {Object} [options]
+     * @param {number|function(string): number} [options.duration=180] - Length of every track in
+     *   seconds, or a function of the URL (returning 0 or throwing simulates a load failure)
+     * @param {UdioClock} [options.clock] - Clock to play against (a new VirtualClock by default)
+     */
+    constructor(options = {}) {
+      this.clock = options.clock || new VirtualClock();
+      this.duration = options.duration !== undefined ? options.duration : 180;
+    }
+
+    createElement() {
+      return new NullAudioElement(this);
+    }
+
+    getAudioContext() {
+      return null;
+    }
+
+    createSourceNode() {
+      throw new UdioError('The null audio backend has no Web Audio graph');
+    }
+
+    /**
+     * Length of a track
+     * @param {string} url - Audio file URL
+     * @returns {number} Duration in seconds
+     */
+    getDuration(url) {
+      return typeof this.duration === 'function' ? this.duration(url) : this.duration;
+    }
+
+    /**
+     * Move the clock forward (see VirtualClock#advance)
+     * @param {number} ms - Milliseconds to advance
+     */
+    advance(ms) {
+      this.clock.advance(ms);
+    }
+  }
+
+  /**
+   * Parameters and neutral settings of each effect type
+   */
+  const EFFECT_DEFAULTS = {
+    lowpass: { frequency: 20000, Q: 0.7071 },
+    highpass: { frequency: 10, Q: 0.7071 },
+    eq: { low: 0, mid: 0, high: 0 },
+    reverb: { mix: 0.3, seconds: 2, decay: 2 }
+  };
+
+  /**
+   * Move an AudioParam to a value, at once or along a ramp
+   * @param {AudioParam} param - Parameter to change
+   * @param {number} value - Target value
+   * @param {number} time - Context time to start at
+   * @param {number} seconds - Ramp length (0 for an immediate change)
+   * @param {boolean} [exponential=false] - Ramp exponentially (for frequencies)
+   */
+  function rampParam(param, value, time, seconds, exponential) {
+    param.cancelScheduledValues(time);
+    param.setValueAtTime(param.value, time);
+    
+    if (seconds <= 0) {
+      param.setValueAtTime(value, time);
+    } else if (exponential && value > 0 && param.value > 0) {
+      param.exponentialRampToValueAtTime(value, time + seconds);
+    } else {
+      param.linearRampToValueAtTime(value, time + seconds);
+    }
+  }
+
+  /**
+   * Generate a stereo reverb impulse: noise under an exponential-ish decay
+   * @param {BaseAudioContext} context - Audio context
+   * @param {number} seconds - Impulse length
+   * @param {number} decay - Decay exponent
+   * @returns {AudioBuffer} The impulse
+   */
+  function generateImpulse(context, seconds, decay) {
+    const length = Math.max(1, Math.floor(context.sampleRate * seconds));
+    const impulse = context.createBuffer(2, length, context.sampleRate);
+    
+    for (let channel = 0; channel < 2; channel++) {
+      const data = impulse.getChannelData(channel);
+      for (let i = 0; i < length; i++) {
+        data[i] = (Math.random() * 2 - 1) * Math.pow(1 - i / length, decay);
+      }
+    }
+    return impulse;
+  }
+
+  /**
+   * Build the nodes for one effect
+   * @param {BaseAudioContext} context - Audio context
+   * @param {string} type - Effect type (see EFFECT_DEFAULTS)
+   * @param {Object} settings - Current parameter values
+   * @returns {{input: AudioNode, output: AudioNode, set: function(string, number, number): void}}
+   *   The effect's ends, and a setter taking a parameter, value and ramp length in seconds
+   */
+  function createEffectNodes(context, type, settings) {
+    switch (type) {
+      case 'lowpass':
+      case 'highpass': {
+        const filter = context.createBiquadFilter();
+        filter.type = type;
+        filter.frequency.value = settings.frequency;
+        filter.Q.value = settings.Q;
+        
+        return {
+          input: filter,
+          output: filter,
+          set: (param, value, seconds) => {
+            rampParam(filter[param], value, context.currentTime, seconds, param === 'frequency');
+          }
+        };
+      }
+      case 'eq': {
+        const bands = {
+          low: { type: 'lowshelf', frequency: 320 },
+          mid: { type: 'peaking', frequency: 1000, Q: 0.5 },
+          high: { type: 'highshelf', frequency: 3200 }
+        };
+        const filters = {};
+        let previous = null;
+        
+        for (const band of Object.keys(bands)) {
+          const filter = context.createBiquadFilter();
+          filter.type = bands[band].type;
+          filter.frequency.value = bands[band].frequency;
+          if (bands[band].Q) filter.Q.value = bands[band].Q;
+          filter.gain.value = settings[band];
+          
+          if (previous) previous.connect(filter);
+          filters[band] = previous = filter;
+        }
+        
+        return {
+          input: filters.low,
+          output: filters.high,
+          set: (param, value, seconds) => {
+            rampParam(filters[param].gain, value, context.currentTime, seconds);
+          }
+        };
+      }
+      case 'reverb': {
+        const input = context.createGain();
+        const output = context.createGain();
+        const dry = context.createGain();
+        const wet = context.createGain();
+        const convolver = context.createConvolver();
+        
+        // Equal-power balance, so the overall level holds steady while the mix moves
+        const setMix = (mix, seconds) => {
+          rampParam(dry.gain, Math.cos(mix * Math.PI / 2), context.currentTime, seconds);
+          rampParam(wet.gain, Math.sin(mix * Math.PI / 2), context.currentTime, seconds);
+        };
+        
+        convolver.buffer = generateImpulse(context, settings.seconds, settings.decay);
+        input.connect(dry);
+        input.connect(convolver);
+        convolver.connect(wet);
+        dry.connect(output);
+        wet.connect(output);
+        setMix(settings.mix, 0);
+        
+        return {
+          input,
+          output,
+          set: (param, value, seconds) => {
+            if (param === 'mix') {
+              setMix(value, seconds);
+            } else {
+              // A new impulse can't be ramped to; it replaces the old one
+              convolver.buffer = generateImpulse(context, settings.seconds, settings.decay);
+            }
+          }
+        };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * How many decoded tracks a player keeps for sample-accurate loops
+   */
+  const MAX_DECODED_TRACKS = 2;
+
+  /**
+   * Reduce decoded audio to min/max peaks per bucket
+   * @param {AudioBuffer} buffer - Decoded audio
+   * @param {number} buckets - Number of buckets
+   * @returns {UdioPeaks} The peaks
+   */
+  function extractPeaks(buffer, buckets) {
+    const count = Math.max(1, Math.floor(buckets));
+    const min = new Array(count).fill(0);
+    const max = new Array(count).fill(0);
+    const samplesPerBucket = buffer.length / count;
+    
+    for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+      const data = buffer.getChannelData(channel);
+      
+      for (let bucket = 0; bucket < count; bucket++) {
+        const start = Math.floor(bucket * samplesPerBucket);
+        const end = Math.min(data.length, Math.max(start + 1, Math.floor((bucket + 1) * samplesPerBucket)));
+        
+        let low = min[bucket];
+        let high = max[bucket];
+        for (let i = start; i < end; i++) {
+          const sample = data[i];
+          if (sample < low) low = sample;
+          if (sample > high) high = sample;
+        }
+        min[bucket] = low;
+        max[bucket] = high;
+      }
+    }
+    
+    return { buckets: count, duration: buffer.duration, min, max };
+  }
+
+  /**
+   * Estimate tempo, beats and bars from decoded audio.
+   * Builds an onset-strength envelope from frame energy, finds the beat period by
+   * autocorrelation (weighted towards ~120 BPM to avoid octave errors), then picks
+   * the beat phase and downbeat with the strongest onsets.
+   * @param {AudioBuffer} buffer - Decoded audio
+   * @param {Object} [options]
+   * @param {number} [options.minBpm=60] - Lowest tempo to consider
+   * @param {number} [options.maxBpm=200] - Highest tempo to consider
+   * @param {number} [options.beatsPerBar=4] - Beats per bar
+   * @returns {UdioTrackAnalysis} The analysis
+   */
+  function analyzeBeats(buffer, options = {}) {
+    const minBpm = options.minBpm || 60;
+    const maxBpm = options.maxBpm || 200;
+    const beatsPerBar = options.beatsPerBar || 4;
+    
+    const sampleRate = buffer.sampleRate;
+    const hop = 512;
+    const frameRate = sampleRate / hop;
+    const frameCount = Math.floor(buffer.length / hop);
+    
+    // Frame energy, summed over all channels
+    const energy = new Float32Array(frameCount);
+    for (let c = 0; c < buffer.numberOfChannels; c++) {
+      const data = buffer.getChannelData(c);
+      for (let f = 0; f < frameCount; f++) {
+        let sum = 0;
+        for (let i = f * hop, end = i + hop; i < end; i++) {
+          sum += data[i] * data[i];
+        }
+        energy[f] += sum;
+      }
+    }
+    
+    // Onset strength: rises in log energy, minus a local average
+    const onsets = new Float32Array(frameCount);
+    for (let f = 1; f < frameCount; f++) {
+      const rise = Math.log(energy[f] + 1e-9) - Math.log(energy[f - 1] + 1e-9);
+      onsets[f] = rise > 0 ? rise : 0;
+    }
+    
+    const averageFrames = Math.round(frameRate / 4);
+    const smoothed = new Float32Array(frameCount);
+    let runningSum = 0;
+    for (let f = 0; f < frameCount; f++) {
+      runningSum += onsets[f];
+      if (f >= averageFrames) runningSum -= onsets[f - averageFrames];
+      smoothed[f] = Math.max(0, onsets[f] - runningSum / Math.min(f + 1, averageFrames));
+    }
+    
+    // Autocorrelation over the tempo range
+    const minLag = Math.floor(frameRate * 60 / maxBpm);
+    const maxLag = Math.min(Math.ceil(frameRate * 60 / minBpm), frameCount - 1);
+    const correlation = new Float32Array(maxLag + 2);
+    
+    let zeroLag = 0;
+    for (let f = 0; f < frameCount; f++) {
+      zeroLag += smoothed[f] * smoothed[f];
+    }
+    
+    let bestLag = minLag;
+    let bestScore = -Infinity;
+    for (let lag = minLag; lag <= maxLag + 1 && lag < frameCount; lag++) {
+      let sum = 0;
+      for (let f = 0; f + lag < frameCount; f++) {
+        sum += smoothed[f] * smoothed[f + lag];
+      }
+      correlation[lag] = sum;
+      
+      if (lag > maxLag) break;
+      
+      const bpm = frameRate * 60 / lag;
+      const weight = Math.exp(-0.5 * Math.pow(Math.log2(bpm / 120), 2));
+      if (sum * weight > bestScore) {
+        bestScore = sum * weight;
+        bestLag = lag;
+      }
+    }
+    
+    // Parabolic interpolation for a fractional beat period
+    let period = bestLag;
+    if (bestLag > minLag && bestLag < maxLag) {
+      const a = correlation[bestLag - 1];
+      const b = correlation[bestLag];
+      const c = correlation[bestLag + 1];
+      const denominator = a - 2 * b + c;
+      if (denominator !== 0) {
+        period += 0.5 * (a - c) / denominator;
+      }
+    }
+    
+    // Beat period and phase with the strongest onsets on the grid; a fine period
+    // search keeps small tempo errors from drifting the grid over a long track
+    let phase = 0;
+    let bestPhaseScore = -Infinity;
+    const coarsePeriod = period;
+    for (let candidate = coarsePeriod * 0.98; candidate <= coarsePeriod * 1.02; candidate += 0.02) {
+      for (let offset = 0; offset < candidate; offset++) {
+        let score = 0;
+        for (let f = offset; f < frameCount; f += candidate) {
+          score += smoothed[Math.round(f)] || 0;
+        }
+        if (score > bestPhaseScore) {
+          bestPhaseScore = score;
+          phase = offset;
+          period = candidate;
+        }
+      }
+    }
+    
+    // Refine period and phase with a least-squares fit through the onset peaks near each beat
+    const tolerance = Math.max(1, Math.round(period * 0.15));
+    let n = 0, sumK = 0, sumF = 0, sumKK = 0, sumKF = 0;
+    for (let k = 0, f = phase; f < frameCount; k++, f += period) {
+      let peak = -1;
+      let peakValue = 0;
+      for (let i = Math.max(0, Math.round(f) - tolerance); i <= Math.min(frameCount - 1, Math.round(f) + tolerance); i++) {
+        if (smoothed[i] > peakValue) {
+          peakValue = smoothed[i];
+          peak = i;
+        }
+      }
+      if (peak !== -1) {
+        n++;
+        sumK += k;
+        sumF += peak;
+        sumKK += k * k;
+        sumKF += k * peak;
+      }
+    }
+    if (n >= 8) {
+      const slope = (n * sumKF - sumK * sumF) / (n * sumKK - sumK * sumK);
+      if (Math.abs(slope - period) < period * 0.05) {
+        period = slope;
+        phase = (sumF - slope * sumK) / n;
+        while (phase - period >= 0) phase -= period;
+        phase = Math.max(0, phase);
+      }
+    }
+    
+    const beatFrames = [];
+    for (let f = phase; f < frameCount; f += period) {
+      beatFrames.push(f);
+    }
+    
+    // Downbeat: the beat slot within the bar that carries the most energy
+    let downbeat = 0;
+    let bestDownbeatScore = -Infinity;
+    for (let slot = 0; slot < beatsPerBar; slot++) {
+      let score = 0;
+      for (let i = slot; i < beatFrames.length; i += beatsPerBar) {
+        const frame = Math.min(frameCount - 1, Math.round(beatFrames[i]));
+        score += energy[frame] + (energy[frame + 1] || 0);
+      }
+      if (score > bestDownbeatScore) {
+        bestDownbeatScore = score;
+        downbeat = slot;
+      }
+    }
+    
+    const beats = beatFrames.map(f => f / frameRate);
+    const beatInterval = period / frameRate;
+    
+    return {
+      bpm: 60 / beatInterval,
+      beatInterval,
+      beats,
+      bars: beats.filter((_, i) => i >= downbeat && (i - downbeat) % beatsPerBar === 0),
+      beatsPerBar,
+      confidence: zeroLag > 0 ? Math.max(0, Math.min(1, correlation[bestLag] / zeroLag)) : 0,
+      duration: buffer.duration
+    };
+  }
+
+  /**
+   * @typedef {Object} UdioDirectorState
+   * @property {string[]} [tags] - Tags to search for
+   * @property {string} [searchTerm] - Direct search term
+   * @property {string} [sort] - Sort method ("likes", "cache_trending_score", etc.)
+   * @property {number} [maxAgeInHours] - Maximum age of tracks in hours
+   * @property {number} [maxResults=20] - Number of candidate tracks to pick from
+   * @property {number} [volume=1.0] - Volume level for this state
+   * @property {boolean} [loop=true] - Whether the chosen track loops while the state is active
+   * @property {number} [fadeDuration] - Crossfade duration in seconds (defaults to the director's)
+   */
+
+  /**
+   * Adaptive music director that maps game states to searches and transitions.
+   * Picks a track for each state, crossfades to it and avoids recently used tracks.
+   * Fires 'statechange' ({ state, previousState, track }) once a transition completes.
+   */
+  class MusicDirector {
+    /**
+     * @param {UdioPlayer} player - Player used for searching and playback
+     * @param {Object} [options]
+     * @param {number} [options.fadeDuration=2] - Default crossfade duration in seconds
+     * @param {number} [options.historySize=10] - Number of recently played tracks to avoid
+     */
+    constructor(player, options = {}) {
+      this.player = player;
+      this.fadeDuration = options.fadeDuration !== undefined ? options.fadeDuration : 2;
+      this.historySize = options.historySize !== undefined ? options.historySize : 10;
+      
+      this.states = {};
+      this.currentState = null;
+      this.recentTrackIds = [];
+      this._requestToken = 0;
+      this._pendingState = null;
+      this._pendingRequest = null;
+      this._eventListeners = {};
+    }
+
+    /**
+     * Add an event listener ('statechange' fires when a state's track has taken over)
+     * @param {string} event - Event name
+     * @param {Function} callback - Event callback
+     */
+    addEventListener(event, callback) {
+      if (!this._eventListeners[event]) {
+        this._eventListeners[event] = [];
+      }
+      this._eventListeners[event].push(callback);
+    }
+
+    /**
+     * Remove an event listener
+     * @param {string} event - Event name
+     * @param {Function} callback - Event callback to remove
+     */
+    removeEventListener(event, callback) {
+      const callbacks = this._eventListeners[event];
+      if (!callbacks) return;
+      
+      const index = callbacks.indexOf(callback);
+      if (index !== -1) {
+        callbacks.splice(index, 1);
+      }
+    }
+
+    /**
+     * Register (or replace) a game state
+     * @param {string} name - State name, e.g. 'combat', 'explore' or 'menu'
+     * @param {UdioDirectorState} config - Search and playback settings for the state
+     */
+    registerState(name, config) {
+      this.states[name] = { ...config };
+    }
+
+    /**
+     * Remove a registered state
+     * @param {string} name - State name
+     */
+    unregisterState(name) {
+      delete this.states[name];
+    }
+
+    /**
+     * Get the active state name (a state becomes active once its transition completes)
+     * @returns {string|null}
+     */
+    getState() {
+      return this.currentState;
+    }
+
+    /**
+     * Switch to a registered state: picks a fresh track and crossfades to it.
+     * Calling it again for the state that is still being switched to returns the same
+     * transition, so it's safe to call every frame.
+     * @param {string} name - State name
+     * @param {Object} [options]
+     * @param {boolean} [options.force=false] - Pick a new track even if the state is already active
+     * @param {number} [options.fadeDuration] - Override the crossfade duration
+     * @returns {Promise<UdioTrack|null>} The chosen track, or null if a newer setState() superseded this one
+     */
+    async setState(name, options = {}) {
+      const config = this.states[name];
+      if (!config) {
+        throw new Error(`Unknown director state: ${name}`);
+      }
+      
+      if (!options.force) {
+        if (name === this._pendingState) {
+          return this._pendingRequest;
+        }
+        if (name === this.currentState && this._pendingState === null) {
+          return this.player.getCurrentTrack();
+        }
+      }
+      
+      const token = ++this._requestToken;
+      const request = this._transition(name, config, options, token);
+      
+      this._pendingState = name;
+      this._pendingRequest = request;
+      
+      const settle = () => {
+        if (token === this._requestToken) {
+          this._pendingState = null;
+          this._pendingRequest = null;
+        }
+      };
+      request.then(settle, settle);
+      
+      return request;
+    }
+
+    async _transition(name, config, options, token) {
+      const tracks = await this.player.search({
+        tags: config.tags,
+        searchTerm: config.searchTerm,
+        sort: config.sort,
+        maxAgeInHours: config.maxAgeInHours,
+        maxResults: config.maxResults || 20
+      });
+      
+      // Only the latest state change gets to play
+      if (token !== this._requestToken) return null;
+      
+      const track = this._pickTrack(tracks);
+      if (!track) {
+        throw new Error(`No tracks found for director state: ${name}`);
+      }
+      
+      this._remember(track);
+      
+      await this.player.crossfadeTo(track, {
+        duration: options.fadeDuration !== undefined
+          ? options.fadeDuration
+          : (config.fadeDuration !== undefined ? config.fadeDuration : this.fadeDuration),
+        volume: config.volume !== undefined ? config.volume : 1.0,
+        loop: config.loop !== false
+      });
+      
+      // Only now is the state active, so a failed search or crossfade can simply be retried
+      if (token === this._requestToken) {
+        const previousState = this.currentState;
+        this.currentState = name;
+        this._emit('statechange', { state: name, previousState, track });
+      }
+      
+      return track;
+    }
+
+    /**
+     * Forget the recently played track history
+     */
+    clearHistory() {
+      this.recentTrackIds = [];
+    }
+
+    _pickTrack(tracks) {
+      if (!tracks || tracks.length === 0) return null;
+      
+      const fresh = tracks.filter(track => this.recentTrackIds.indexOf(track.id) === -1);
+      if (fresh.length > 0) {
+        return fresh[Math.floor(Math.random() * fresh.length)];
+      }
+      
+      // Everything was played recently: take the one played longest ago
+      return tracks.reduce((oldest, track) =>
+        this.recentTrackIds.indexOf(track.id) < this.recentTrackIds.indexOf(oldest.id) ? track : oldest
+      );
+    }
+
+    _remember(track) {
+      this.recentTrackIds = this.recentTrackIds.filter(id => id !== track.id);
+      this.recentTrackIds.push(track.id);
+      
+      if (this.recentTrackIds.length > this.historySize) {
+        this.recentTrackIds.splice(0, this.recentTrackIds.length - this.historySize);
+      }
+    }
+
+    _emit(event, detail = {}) {
+      const callbacks = this._eventListeners[event];
+      if (!callbacks) return;
+      
+      for (const callback of callbacks.slice()) {
+        try {
+          callback({ type: event, target: this, detail });
+        } catch (error) {
+          console.error(`Error in ${event} listener:`, error);
+        }
+      }
+    }
+  }
+
+  /**
+   * Describe the JavaScript environment the library is running in
+   * @returns {{hasDom: boolean, hasFetch: boolean, isNode: boolean, isWorker: boolean}}
+   */
+  function detectEnvironment() {
+    return {
+      hasDom: typeof window !== 'undefined' && typeof document !== 'undefined',
+      hasFetch: typeof fetch === 'function',
+      isNode: typeof process !== 'undefined' && !!(process.versions && process.versions.node),
+      isWorker: typeof WorkerGlobalScope !== 'undefined' && typeof self !== 'undefined' && self instanceof WorkerGlobalScope
+    };
+  }
+
+  /**
+   * Headless client for Udio's search API.
+   * Doesn't touch the DOM or audio, so it runs in browsers, Web Workers and Node.
+   * UdioPlayer creates one from its options, or uses the one passed as `client`.
+   */
+  class UdioClient {
+    constructor(options = {}) {
+      this.environment = detectEnvironment();
+      
+      this.apiBaseUrl = options.apiBaseUrl || 'https://www.udio.com/api';
+      this.searchEndpoint = `${this.apiBaseUrl}/songs/search`;
+      this.pageSize = options.pageSize || 20;
+      this.maxRetries = options.maxRetries || 4;
+      
+      // Outside browsers and workers there's no CORS to work around
+      const needsCors = this.environment.hasDom || this.environment.isWorker;
+      this.corsMode = options.corsMode || (needsCors ? 'proxy' : 'direct'); // 'proxy', 'direct', 'auto' or 'self-hosted'
+      this.proxyUrl = options.proxyUrl ? options.proxyUrl.replace(/\/+$/, '') : null;
+      
+      if (this.corsMode === 'self-hosted') {
+        if (!this.proxyUrl) {
+          throw new Error("corsMode 'self-hosted' requires a proxyUrl");
+        }
+        // Searches and audio go through our own proxy (see udio-proxy-server.js)
+        this.searchEndpoint = `${this.proxyUrl}/api/songs/search`;
+      }
+      this.proxyManager = new CorsProxyManager({
+        proxies: options.proxies,
+        retryDelay: options.proxyRetryDelay
+      });
+      this.jsonpHandler = this.environment.hasDom ? new JsonpHandler() : null;
+      this._eventListeners = {};
+      
+      // Search cache (LRU with TTL); `cache: false` disables it
+      this.cache = options.cache === false ? null : new SearchCache(options.cache || {});
+      
+      // Transports: a user-supplied one handles every request, otherwise the
+      // CORS fallback chain picks between fetch, the Web Worker and JSONP
+      this.transport = options.transport || null;
+      this.headers = options.headers || {};
+      this.requestTimeout = options.requestTimeout !== undefined ? options.requestTimeout : 15000; // per attempt, 0 = none
+      this.cancelPreviousSearch = options.cancelPreviousSearch === true;
+      
+      // Tracks returned when a search fails: null = built-in demo tracks, false = throw instead
+      this.fallbackTracks = options.fallbackTracks !== undefined ? options.fallbackTracks : null;
+      this._searchController = null;
+      this._transports = {
+        fetch: new FetchTransport(),
+        worker: null,
+        jsonp: this.jsonpHandler ? new JsonpTransport(this.jsonpHandler) : null
+      };
+      
+      // Node versions before 18 have no fetch(); the http-based transport is a separate module
+      // so that browser bundles don't pull in Node's http
+      if (!this.environment.hasFetch && this.environment.isNode && !this.transport) {
+        console.warn("fetch() is not available; pass transport: new NodeTransport() from './udio-node-transport'");
+      }
+      
+      // Initialize Web Worker if supported
+      this._initializeWebWorker();
+      
+      if (options.proxyHealthCheck) {
+        const healthCheck = options.proxyHealthCheck === true ? {} : options.proxyHealthCheck;
+        
+        this.proxyManager.startHealthChecks({
+          interval: healthCheck.interval,
+          url: healthCheck.url || 'https://www.udio.com/robots.txt',
+          request: (url, requestOptions) => this._transports.fetch.request(url, requestOptions)
+        });
+      }
+    }
+
+    /**
+     * Add an event listener ('fallback' fires when search falls back to fallback tracks)
+     * @param {string} event - Event name
+     * @param {Function} callback - Event callback
+     */
+    addEventListener(event, callback) {
+      if (!this._eventListeners[event]) {
+        this._eventListeners[event] = [];
+      }
+      this._eventListeners[event].push(callback);
+    }
+
+    /**
+     * Remove an event listener
+     * @param {string} event - Event name
+     * @param {Function} callback - Event callback to remove
+     */
+    removeEventListener(event, callback) {
+      const callbacks = this._eventListeners[event];
+      if (!callbacks) return;
+      
+      const index = callbacks.indexOf(callback);
+      if (index !== -1) {
+        callbacks.splice(index, 1);
+      }
+    }
+
+    /**
+     * Report the state of every registered CORS proxy
+     * @returns {UdioProxyStatus[]}
+     */
+    getProxyStatus() {
+      return this.proxyManager.getStatus();
+    }
+
+    /**
+     * Initialize Web Worker for fetching
+     * @private
+     */
+    _initializeWebWorker() {
+      if (this.transport || !WorkerTransport.isSupported()) {
+        this._hasWorker = false;
+        return;
+      }
+      
+      try {
+        this._transports.worker = new WorkerTransport();
+        this._hasWorker = true;
+      } catch (e) {
+        console.warn('Web Worker initialization failed:', e);
+        this._hasWorker = false;
+      }
+    }
+
+    /**
+     * Make an HTTP request with multiple fallback strategies
+     * @private
+     */
+    async _fetchWithFallback(url, options) {
+      // A custom transport, or our own proxy, handles CORS: there's nothing to fall back to
+      if (this.transport || this.corsMode === 'self-hosted') {
+        const strategy = this.transport ? 'transport' : 'self-hosted';
+        
+        try {
+          return await this._sendRequest(this.transport || this._transports.fetch, url, options);
+        } catch (error) {
+          this._throwIfAborted(options.signal);
+          throw new UdioNetworkError(`Request failed: ${error.message}`, {
+            attempts: [{ strategy, error }],
+            cause: error
+          });
+        }
+      }
+      
+      const attempts = [];
+      
+      // Try direct fetch first if in direct or auto mode
+      if (this.corsMode === 'direct' || this.corsMode === 'auto') {
+        try {
+          return await this._sendRequest(this._transports.fetch, url, options);
+        } catch (error) {
+          this._throwIfAborted(options.signal);
+          console.warn('Direct request failed:', error);
+          attempts.push({ strategy: 'direct', error });
+        }
+      }
+      
+      // If direct failed or in proxy mode, try eligible proxies in priority order
+      if (this.corsMode === 'proxy' || this.corsMode === 'auto') {
+        const method = options.method || 'GET';
+        
+        // JSONP needs a DOM to inject scripts into
+        const attempted = this._transports.jsonp
+          ? []
+          : this.proxyManager.proxies.filter(proxy => proxy.type === 'jsonp').map(proxy => proxy.name);
+        
+        for (let attempt = 0; attempt <= this.maxRetries; attempt++) {
+          const proxy = this.proxyManager.selectProxy(method, attempted);
+          if (!proxy) break;
+          
+          attempted.push(proxy.name);
+          
+          try {
+            let result;
+            
+            // Special case for JSONP
+            if (proxy.type === 'jsonp') {
+              result = await this._sendRequest(this._transports.jsonp, url, options);
+            }
+            // Try Web Worker approach, then standard fetch with proxy
+            else {
+              const transport = this._hasWorker ? this._transports.worker : this._transports.fetch;
+              result = await this._sendRequest(transport, proxy.format(url), options);
+            }
+            
+            this.proxyManager.markWorking(proxy.name);
+            return result;
+          } catch (error) {
+            // A cancelled request says nothing about the proxy
+            this._throwIfAborted(options.signal);
+            console.warn(`Proxy request failed (${proxy.name}):`, error);
+            this.proxyManager.markFailed(proxy.name, error);
+            attempts.push({ strategy: 'proxy', proxy: proxy.name, error });
+          }
+        }
+      }
+      
+      // Last resort - try direct request again with minimal options
+      try {
+        console.warn('All proxy attempts failed. Trying simplified direct request as last resort');
+        
+        // Clone options but remove potentially problematic headers
+        const simplifiedOptions = {
+          method: options.method,
+          mode: 'cors',
+          cache: 'no-cache',
+          credentials: 'omit',
+          signal: options.signal,
+          timeout: options.timeout
+        };
+        
+        if (options.body) {
+          simplifiedOptions.body = options.body;
+          simplifiedOptions.headers = {
+            'Content-Type': 'application/json'
+          };
+        }
+        
+        return await this._sendRequest(this._transports.fetch, url, simplifiedOptions);
+      } catch (error) {
+        this._throwIfAborted(options.signal);
+        console.error('All request methods failed:', error);
+        attempts.push({ strategy: 'last-resort', error });
+        throw new UdioProxyExhaustedError('Failed to fetch data after all attempts', { attempts, cause: error });
+      }
+    }
+
+    /**
+     * Send one request through a transport, applying the request timeout
+     * @private
+     */
+    async _sendRequest(transport, url, options) {
+      const { timeout = this.requestTimeout, ...requestOptions } = options;
+      const linked = linkSignal(options.signal, timeout);
+      
+      try {
+        return await transport.request(url, { ...requestOptions, signal: linked.signal });
+      } finally {
+        linked.dispose();
+      }
+    }
+
+    /**
+     * Re-throw the abort reason if the caller's signal was aborted
+     * @private
+     */
+    _throwIfAborted(signal) {
+      if (signal && signal.aborted) {
+        throw signal.reason || createAbortError();
+      }
+    }
+
+    /**
+     * Search for tracks in Udio's API.
+     * With client-side filters (duration, likes, excluded tags, instrumental only),
+     * further pages are fetched until maxResults tracks match or maxPages is reached.
+     * Rejects with an AbortError when the signal aborts or a newer search cancels it
+     * (see cancelPrevious).
+     * @param {UdioSearchOptions} [options] - Search options
+     * @returns {Promise<UdioTrack[]>} Array of matching tracks
+     */
+    async search(options = {}) {
+      const cancelPrevious = options.cancelPrevious !== undefined
+        ? options.cancelPrevious
+        : this.cancelPreviousSearch;
+      
+      if (!cancelPrevious || typeof AbortController === 'undefined') {
+        return this._runSearch(options);
+      }
+      
+      // Abort the search this one supersedes, so its results can't arrive late
+      if (this._searchController) {
+        this._searchController.abort(createAbortError('Search superseded by a newer search'));
+      }
+      
+      const controller = new AbortController();
+      const linked = linkSignal(controller.signal);
+      const onAbort = () => controller.abort(options.signal.reason || createAbortError());
+      this._searchController = controller;
+      
+      if (options.signal) {
+        if (options.signal.aborted) {
+          onAbort();
+        } else {
+          options.signal.addEventListener('abort', onAbort, { once: true });
+        }
+      }
+      
+      try {
+        return await this._runSearch({ ...options, signal: linked.signal });
+      } finally {
+        linked.dispose();
+        if (options.signal) options.signal.removeEventListener('abort', onAbort);
+        if (this._searchController === controller) this._searchController = null;
+      }
+    }
+
+    /**
+     * Run a search, fetching further pages while client-side filters need more matches
+     * @private
+     */
+    async _runSearch(options) {
+      if (!this._hasTrackFilters(options)) {
+        return this._sortTracks(await this._searchPage(options), options);
+      }
+      
+      const wanted = options.maxResults || this.pageSize;
+      const maxPages = options.maxPages || 10;
+      const matches = [];
+      const seen = new Set();
+      
+      for (let page = options.page || 0, fetched = 0; fetched < maxPages && matches.length < wanted; page++, fetched++) {
+        const tracks = await this._searchPage({ ...options, page, maxResults: this.pageSize });
+        
+        const fresh = tracks.filter(track => !seen.has(track.id));
+        if (fresh.length === 0) break;
+        
+        for (const track of fresh) {
+          seen.add(track.id);
+          if (this._matchesTrackFilters(track, options)) {
+            matches.push(track);
+          }
+        }
+      }
+      
+      return this._sortTracks(matches, options).slice(0, wanted);
+    }
+
+    /**
+     * Fetch a single page of search results, through the search cache
+     * @private
+     */
+    async _searchPage(options) {
+      // Generate cache key for this search
+      const cacheKey = JSON.stringify({
+        term: options.searchTerm || '',
+        tags: options.tags || [],
+        sort: options.sort,
+        maxAge: options.maxAgeInHours,
+        userId: options.userId,
+        page: options.page || 0,
+        size: options.maxResults || this.pageSize
+      });
+      
+      const useCache = this.cache && options.cache !== false;
+      
+      // Check if we have a cached result
+      if (useCache) {
+        const cached = await this.cache.get(cacheKey);
+        if (cached) {
+          return cached;
+        }
+      }
+      
+      const searchQuery = {
+        sort: options.sort || null,
+        maxAgeInHours: options.maxAgeInHours || 168, // 1 week default
+        searchTerm: options.searchTerm || '',
+      };
+      
+      if (options.tags && options.tags.length > 0) {
+        searchQuery.containsTags = options.tags;
+      }
+      
+      if (options.userId) {
+        searchQuery.userId = options.userId;
+      }
+
+      const postData = JSON.stringify({
+        searchQuery: searchQuery,
+        pageParam: options.page || 0,
+        pageSize: options.maxResults || this.pageSize
+      });
+      
+      try {
+        // Use our enhanced fetch method
+        const result = await this._fetchWithFallback(this.searchEndpoint, {
+          method: 'POST',
+          headers: {
+            ...this.headers,
+            'Content-Type': 'application/json',
+          },
+          body: postData,
+          signal: options.signal,
+          timeout: options.timeout
+        });
+        
+        // If the response is a string (from some proxies), try to parse it
+        let data = result;
+        if (typeof result === 'string') {
+          try {
+            data = JSON.parse(result);
+          } catch (e) {
+            console.error('Failed to parse search result:', e);
+            throw new UdioResponseFormatError('Invalid response format', { response: result, cause: e });
+          }
+        }
+        
+        if (!data || !data.data || !Array.isArray(data.data)) {
+          console.error('Unexpected response format:', data);
+          throw new UdioResponseFormatError('Invalid response structure', { response: data });
+        }
+        
+        // Format the tracks
+        const tracks = data.data.map(song => ({
+          id: song.id,
+          artist: song.artist,
+          title: song.title,
+          url: song.song_path,
+          tags: song.tags || [],
+          image: song.image_path,
+          duration: song.duration,
+          lyrics: song.lyrics,
+          publishedAt: song.published_at,
+          likes: song.likes || 0,
+          plays: song.plays || 0
+        }));
+        
+        // Cache the result
+        if (useCache) {
+          await this.cache.set(cacheKey, tracks, options.cacheTtl);
+        }
+        
+        return tracks;
+      } catch (error) {
+        // Cancelled searches have no results, not fallback ones, whatever the abort reason
+        this._throwIfAborted(options.signal);
+        if (isAbortError(error)) {
+          throw error;
+        }
+        
+        console.error('Error searching Udio:', error);
+        
+        if (this.fallbackTracks === false) {
+          throw error;
+        }
+        
+        // As a last fallback, provide some tracks so UI isn't empty
+        const tracks = (this.fallbackTracks || this._getDemoTracks())
+          .map(track => ({ ...track, isFallback: true }));
+        
+        this._emit('fallback', { error, tracks });
+        return tracks;
+      }
+    }
+    
+    /**
+     * Walk through search results page by page, lazily.
+     * Tracks are deduplicated by id and client-side filters apply; iteration stops at
+     * maxResults, at an empty page, or when a page brings no new tracks. Pages go
+     * through the search cache.
+     * @param {UdioSearchOptions} [options] - Search options; maxResults caps the total number of
+     *   tracks (unlimited by default) and pageSize sets the page size
+     * @returns {AsyncGenerator<UdioTrack>} Matching tracks
+     * @example
+     * for await (const track of client.searchAll({ tags: ['ambient'], maxResults: 200 })) {
+     *   catalog.push(track);
+     * }
+     */
+    async *searchAll(options = {}) {
+      const { maxResults = Infinity, pageSize = this.pageSize, ...searchOptions } = options;
+      const seen = new Set();
+      let yielded = 0;
+      let page = options.page || 0;
+      
+      for (;;) {
+        const tracks = await this._searchPage({ ...searchOptions, page, maxResults: pageSize });
+        if (!tracks || tracks.length === 0) return;
+        
+        let added = 0;
+        for (const track of tracks) {
+          if (seen.has(track.id)) continue;
+          
+          seen.add(track.id);
+          added++;
+          
+          if (!this._matchesTrackFilters(track, searchOptions)) continue;
+          
+          yielded++;
+          yield track;
+          
+          if (yielded >= maxResults) return;
+        }
+        
+        // A page of nothing but repeats means the API has run out of results
+        if (added === 0) return;
+        
+        page++;
+      }
+    }
+
+    /**
+     * Remove all cached search results. Persistent storage is cleared in the background;
+     * await cache.clear() to know when that's done.
+     */
+    clearCache() {
+      if (this.cache) {
+        this.cache.clear().catch(error => {
+          console.warn('Failed to clear search cache:', error);
+        });
+      }
+    }
+
+    /**
+     * Get fallback demo tracks if all else fails
+     * @private
+     */
+    _getDemoTracks() {
+      return [
+        {
+          id: 'demo1',
+          artist: 'Demo Artist',
+          title: 'Fallback Track 1',
+          url: 'https://dl.dropbox.com/s/jemg8iu17ibr3p0/bensound-summer.mp3',
+          tags: ['demo', 'fallback'],
+          image: 'https://picsum.photos/id/1/300/300',
+          duration: 217,
+        },
+        {
+          id: 'demo2',
+          artist: 'Demo Artist',
+          title: 'Fallback Track 2',
+          url: 'https://dl.dropbox.com/s/zydq2wbcyjeavxu/bensound-acousticbreeze.mp3',
+          tags: ['demo', 'fallback'],
+          image: 'https://picsum.photos/id/2/300/300', 
+          duration: 166,
+        }
+      ];
+    }
+
+    /**
+     * Get a single track by matching keywords/tags
+     * @param {string|string[]} keywords - Keywords or tags to search for
+     * @param {UdioSearchOptions} [options] - Additional search options
+     * @returns {Promise<UdioTrack|null>} A matching track or null if none found
+     */
+    async getTrack(keywords, options = {}) {
+      const searchOptions = { ...options };
+      
+      if (typeof keywords === 'string') {
+        searchOptions.searchTerm = keywords;
+      } else if (Array.isArray(keywords)) {
+        searchOptions.tags = keywords;
+      }
+      
+      searchOptions.maxResults = 1;
+      
+      const tracks = await this.search(searchOptions);
+      return tracks.length > 0 ? tracks[0] : null;
+    }
+
+    /**
+     * Search for tracks by genre
+     * @param {string} genre - Genre to search for
+     * @param {UdioSearchOptions} [options] - Additional search options
+     * @returns {Promise<UdioTrack[]>} Array of matching tracks
+     */
+    async searchByGenre(genre, options = {}) {
+      return this.search({
+        ...options,
+        tags: [genre]
+      });
+    }
+
+    /**
+     * Get the URL audio should be loaded from (rewritten through the proxy in self-hosted mode)
+     * @param {string} url - Audio file URL
+     * @returns {string} URL to load
+     */
+    getAudioUrl(url) {
+      if (this.corsMode !== 'self-hosted' || !/^https?:/.test(url)) {
+        return url;
+      }
+      return `${this.proxyUrl}/audio?url=${encodeURIComponent(url)}`;
+    }
+
+    _hasTrackFilters(options) {
+      return options.minDuration !== undefined ||
+        options.maxDuration !== undefined ||
+        options.minLikes !== undefined ||
+        options.minPlays !== undefined ||
+        (options.excludeTags && options.excludeTags.length > 0) ||
+        options.instrumentalOnly === true;
+    }
+
+    _matchesTrackFilters(track, options) {
+      if (options.minDuration !== undefined && !(track.duration >= options.minDuration)) return false;
+      if (options.maxDuration !== undefined && !(track.duration <= options.maxDuration)) return false;
+      if (options.minLikes !== undefined && (track.likes || 0) < options.minLikes) return false;
+      if (options.minPlays !== undefined && (track.plays || 0) < options.minPlays) return false;
+      
+      if (options.excludeTags && options.excludeTags.length > 0) {
+        const excluded = options.excludeTags.map(tag => tag.toLowerCase());
+        if ((track.tags || []).some(tag => excluded.indexOf(tag.toLowerCase()) !== -1)) return false;
+      }
+      
+      // Udio marks some instrumentals with an "[Instrumental]" placeholder instead of empty lyrics
+      if (options.instrumentalOnly && track.lyrics && !/^\s*(\[instrumental\])?\s*$/i.test(track.lyrics)) {
+        return false;
+      }
+      
+      return true;
+    }
+
+    _sortTracks(tracks, options) {
+      if (!options.sortBy) return tracks;
+      
+      const key = options.sortBy;
+      const direction = options.sortDirection === 'asc' ? 1 : -1;
+      const value = track => (key === 'publishedAt' ? Date.parse(track.publishedAt) || 0 : track[key] || 0);
+      
+      return tracks.slice().sort((a, b) => (value(a) - value(b)) * direction);
+    }
+
+    _emit(event, detail = {}) {
+      const callbacks = this._eventListeners[event];
+      if (!callbacks) return;
+      
+      for (const callback of callbacks.slice()) {
+        try {
+          callback({ type: event, target: this, detail });
+        } catch (error) {
+          console.error(`Error in ${event} listener:`, error);
+        }
+      }
+    }
+  }
+
+  /**
+   * @typedef {Object} UdioDuckOptions
+   * @property {number} [amount=0.6] - Fraction of the bus level to take away (0.0 to 1.0)
+   * @property {number} [attack=0.08] - Seconds to fade down
+   * @property {number} [release=0.6] - Seconds to recover once the duck ends
+   * @property {number} [duration] - Seconds to stay ducked before releasing automatically
+   */
+
+  /**
+   * @typedef {Object} UdioDuckingRule
+   * @property {string} trigger - Channel whose playback causes the ducking
+   * @property {string|string[]} target - Bus or buses to duck
+   * @property {number} [amount=0.6] - Fraction of the bus level to take away (0.0 to 1.0)
+   * @property {number} [attack=0.08] - Seconds to fade down
+   * @property {number} [release=0.6] - Seconds to recover once the trigger stops
+   */
+
+  /**
+   * @typedef {Object} UdioBusStatus
+   * @property {string} name - Bus name
+   * @property {number} volume - Bus volume (0.0 to 1.0)
+   * @property {boolean} muted - Whether the bus is muted
+   * @property {number} duck - Current ducking gain (1 when not ducked)
+   * @property {number} level - Gain reaching the output, after mute, ducking and the master bus
+   */
+
+  /**
+   * Mixer for several channels playing at once (music, ambience, stingers...).
+   * Every channel is an UdioPlayer with its own track, loop settings and volume, feeding
+   * a named bus. Bus gains feed a master gain. All channels share the player's client,
+   * audio backend and AudioContext. Levels are applied through Web Audio gain nodes, or
+   * through the element volume where there's no Web Audio.
+   * Buses can be ducked (temporarily lowered) on top of their volume, either directly
+   * with duck() or by rules that follow another channel's playback.
+   */
+  class UdioMixer {
+    /**
+     * @param {UdioPlayer} mainPlayer - The player owning the mixer; it plays on the 'main' bus
+     */
+    constructor(mainPlayer) {
+      this.mainPlayer = mainPlayer;
+      this.masterVolume = 1;
+      this.masterMuted = false;
+      this._buses = new Map();
+      this._buses.set('main', this._createBus('main', mainPlayer));
+      this._context = null;
+      this._masterNode = null;
+      this._rules = [];
+    }
+
+    /**
+     * Get a channel's player, creating the channel on first use
+     * @param {string} name - Channel (bus) name; 'main' is the player owning the mixer
+     * @param {Object} [options] - Player options for a new channel (loopMode, autoAdvance, ...)
+     * @returns {UdioPlayer} The channel's player
+     */
+    channel(name, options = {}) {
+      const existing = this._buses.get(name);
+      if (existing) return existing.player;
+      
+      const main = this.mainPlayer;
+      const player = new UdioPlayer({
+        loopMode: main.loopMode,
+        ...options,
+        client: main.client,
+        backend: main.backend,
+        prefetcher: main.prefetcher,
+        mixer: this,
+        bus: name
+      });
+      
+      this._buses.set(name, this._createBus(name, player));
+      return player;
+    }
+
+    /**
+     * Stop a channel and remove its bus
+     * @param {string} name - Channel name (the 'main' channel can't be removed)
+     * @returns {boolean} Whether a channel was removed
+     */
+    removeChannel(name) {
+      const bus = this._buses.get(name);
+      if (!bus || name === 'main') return false;
+      
+      for (const rule of this._rules.slice()) {
+        if (rule.trigger === name) {
+          this.removeDuckingRule(rule);
+        }
+      }
+      
+      bus.player.destroy();
+      this._clearDuckTimer(bus);
+      this._buses.delete(name);
+      return true;
+    }
+
+    /**
+     * Names of all channels, 'main' first
+     * @returns {string[]}
+     */
+    getChannels() {
+      return Array.from(this._buses.keys());
+    }
+
+    /**
+     * Report every bus's volume, mute state and resulting level
+     * @returns {UdioBusStatus[]}
+     */
+    getBuses() {
+      return Array.from(this._buses.values()).map(bus => ({
+        name: bus.name,
+        volume: bus.volume,
+        muted: bus.muted,
+        duck: this.getDuckLevel(bus.name),
+        level: this.getBusLevel(bus.name)
+      }));
+    }
+
+    /**
+     * Stop every channel
+     */
+    stopAll() {
+      for (const bus of this._buses.values()) {
+        bus.player.stop();
+      }
+    }
+
+    /**
+     * Set the master volume, applied on top of every bus
+     * @param {number} level - Volume level between 0.0 and 1.0
+     */
+    setMasterVolume(level) {
+      if (level >= 0 && level <= 1) {
+        this.masterVolume = level;
+        this._update();
+      }
+    }
+
+    /**
+     * @returns {number} Master volume (0.0 to 1.0)
+     */
+    getMasterVolume() {
+      return this.masterVolume;
+    }
+
+    /**
+     * Mute or unmute everything
+     * @param {boolean} muted - Whether the master bus is muted
+     */
+    setMasterMuted(muted) {
+      this.masterMuted = !!muted;
+      this._update();
+    }
+
+    /**
+     * @returns {boolean} Whether the master bus is muted
+     */
+    isMasterMuted() {
+      return this.masterMuted;
+    }
+
+    /**
+     * Set a bus's volume, applied on top of its channel's own volume
+     * @param {string} name - Bus name
+     * @param {number} level - Volume level between 0.0 and 1.0
+     */
+    setBusVolume(name, level) {
+      const bus = this._getBus(name);
+      if (level >= 0 && level <= 1) {
+        bus.volume = level;
+        bus.player._applyMixLevel();
+      }
+    }
+
+    /**
+     * @param {string} name - Bus name
+     * @returns {number} Bus volume (0.0 to 1.0)
+     */
+    getBusVolume(name) {
+      return this._getBus(name).volume;
+    }
+
+    /**
+     * Mute or unmute a bus
+     * @param {string} name - Bus name
+     * @param {boolean} muted - Whether the bus is muted
+     */
+    setBusMuted(name, muted) {
+      const bus = this._getBus(name);
+      bus.muted = !!muted;
+      bus.player._applyMixLevel();
+    }
+
+    /**
+     * @param {string} name - Bus name
+     * @returns {boolean} Whether the bus is muted
+     */
+    isBusMuted(name) {
+      return this._getBus(name).muted;
+    }
+
+    /**
+     * Gain a bus reaches the output with, after mutes, ducking and the master volume
+     * @param {string} name - Bus name
+     * @returns {number}
+     */
+    getBusLevel(name) {
+      return this._getBusGain(name) * this.getDuckLevel(name) * this._getMasterGain();
+    }
+
+    /**
+     * Lower a bus smoothly, e.g. while a voice line plays, then let it recover.
+     * Ducks compose with the bus and channel volumes rather than replacing them; when
+     * several overlap, the deepest one wins.
+     * @param {string} name - Bus to duck
+     * @param {UdioDuckOptions} [options] - Duck amount and envelope
+     * @returns {{release: function(): void}} Handle ending this duck (release is idempotent)
+     * @example
+     * const duck = player.mixer.duck('main', { amount: 0.7, attack: 0.05, release: 0.8 });
+     * voiceLine.addEventListener('ended', () => duck.release());
+     */
+    duck(name, options = {}) {
+      const bus = this._getBus(name);
+      const entry = {
+        amount: Math.max(0, Math.min(1, options.amount !== undefined ? options.amount : 0.6)),
+        release: options.release !== undefined ? options.release : 0.6,
+        timer: null
+      };
+      
+      bus.ducks.push(entry);
+      this._rampDuck(bus, options.attack !== undefined ? options.attack : 0.08);
+      
+      const release = () => {
+        const index = bus.ducks.indexOf(entry);
+        if (index === -1) return;
+        
+        bus.ducks.splice(index, 1);
+        if (entry.timer !== null) {
+          this.mainPlayer._clock.clearTimeout(entry.timer);
+        }
+        this._rampDuck(bus, entry.release);
+      };
+      
+      if (options.duration !== undefined) {
+        entry.timer = this.mainPlayer._clock.setTimeout(release, options.duration * 1000);
+      }
+      
+      return { release };
+    }
+
+    /**
+     * Duck buses automatically while a channel plays
+     * @param {UdioDuckingRule} rule - Trigger channel, target buses and envelope
+     * @returns {UdioDuckingRule} The registered rule, for removeDuckingRule()
+     * @example
+     * player.mixer.addDuckingRule({ trigger: 'voice', target: ['main', 'ambience'], amount: 0.7 });
+     * player.channel('voice').play('https://example.com/line-01.mp3');
+     */
+    addDuckingRule(rule) {
+      const trigger = this.channel(rule.trigger);
+      const targets = Array.isArray(rule.target) ? rule.target : [rule.target];
+      targets.forEach(target => this._getBus(target));
+      
+      const registered = { ...rule, _handles: [], _listener: null };
+      
+      registered._listener = event => {
+        if (event.detail.playing && registered._handles.length === 0) {
+          registered._handles = targets.map(target => this.duck(target, rule));
+        } else if (!event.detail.playing) {
+          registered._handles.forEach(handle => handle.release());
+          registered._handles = [];
+        }
+      };
+      
+      trigger.addEventListener('playstatechange', registered._listener);
+      this._rules.push(registered);
+      
+      if (trigger.isPlaying()) {
+        registered._listener({ detail: { playing: true } });
+      }
+      
+      return registered;
+    }
+
+    /**
+     * Remove a ducking rule, releasing any duck it holds
+     * @param {UdioDuckingRule} rule - Rule returned by addDuckingRule()
+     * @returns {boolean} Whether the rule was registered
+     */
+    removeDuckingRule(rule) {
+      const index = this._rules.indexOf(rule);
+      if (index === -1) return false;
+      
+      this._rules.splice(index, 1);
+      this.channel(rule.trigger).removeEventListener('playstatechange', rule._listener);
+      rule._handles.forEach(handle => handle.release());
+      rule._handles = [];
+      return true;
+    }
+
+    /**
+     * Current ducking gain of a bus (1 when not ducked), following the envelope
+     * @param {string} name - Bus name
+     * @returns {number}
+     */
+    getDuckLevel(name) {
+      const envelope = this._getBus(name).envelope;
+      const elapsed = this.mainPlayer._clock.now() - envelope.start;
+      
+      if (envelope.duration <= 0 || elapsed >= envelope.duration) {
+        return envelope.to;
+      }
+      return envelope.from + (envelope.to - envelope.from) * Math.max(0, elapsed) / envelope.duration;
+    }
+
+    _createBus(name, player) {
+      return {
+        name,
+        player,
+        volume: 1,
+        muted: false,
+        ducks: [],
+        envelope: { from: 1, to: 1, start: 0, duration: 0 },
+        duckTimer: null
+      };
+    }
+
+    _rampDuck(bus, seconds) {
+      const target = 1 - bus.ducks.reduce((deepest, entry) => Math.max(deepest, entry.amount), 0);
+      const current = this.getDuckLevel(bus.name);
+      const duration = Math.max(0, seconds) * 1000;
+      
+      bus.envelope = { from: current, to: target, start: this.mainPlayer._clock.now(), duration };
+      this._clearDuckTimer(bus);
+      
+      const player = bus.player;
+      const context = player._getAudioContext();
+      
+      if (context) {
+        const param = player._duckNode.gain;
+        const now = context.currentTime;
+        param.cancelScheduledValues(now);
+        param.setValueAtTime(current, now);
+        param.linearRampToValueAtTime(target, now + duration / 1000);
+        return;
+      }
+      
+      // Without Web Audio, step the element volume along the envelope
+      player._applyMixLevel();
+      if (duration > 0) {
+        bus.duckTimer = player._clock.setInterval(() => {
+          player._applyMixLevel();
+          if (this.getDuckLevel(bus.name) === target) {
+            this._clearDuckTimer(bus);
+          }
+        }, 20);
+      }
+    }
+
+    _clearDuckTimer(bus) {
+      if (bus.duckTimer !== null) {
+        bus.player._clock.clearInterval(bus.duckTimer);
+        bus.duckTimer = null;
+      }
+    }
+
+    _getBus(name) {
+      const bus = this._buses.get(name);
+      if (!bus) {
+        throw new Error(`Unknown mixer bus: ${name}`);
+      }
+      return bus;
+    }
+
+    _getBusGain(name) {
+      const bus = this._getBus(name);
+      return bus.muted ? 0 : bus.volume;
+    }
+
+    _getMasterGain() {
+      return this.masterMuted ? 0 : this.masterVolume;
+    }
+
+    _getMasterNode(context) {
+      if (!this._masterNode) {
+        this._context = context;
+        this._masterNode = context.createGain();
+        this._masterNode.gain.value = this._getMasterGain();
+        this._masterNode.connect(context.destination);
+      }
+      return this._masterNode;
+    }
+
+    _setGain(param, value) {
+      // A short glide instead of a jump avoids clicks
+      param.cancelScheduledValues(this._context.currentTime);
+      param.setTargetAtTime(value, this._context.currentTime, 0.015);
+    }
+
+    _update() {
+      if (this._masterNode) {
+        this._setGain(this._masterNode.gain, this._getMasterGain());
+      }
+      
+      for (const bus of this._buses.values()) {
+        bus.player._applyMixLevel();
+      }
+    }
+  }
+
+  /**
+   * UdioPlayer with enhanced CORS-handling capabilities
+   */
+  class UdioPlayer {
+    constructor(options = {}) {
+      // Search and API requests; shareable between players, usable on its own in Node
+      this.client = options.client || new UdioClient(options);
+      this._handleFallback = event => this._emit('fallback', event.detail);
+      this.client.addEventListener('fallback', this._handleFallback);
+      
+      this.loopMode = options.loopMode || 'timer'; // 'timer' or 'webaudio'
+      
+      // Where audio plays: HTMLAudioElements by default (see UdioAudioBackend)
+      this.backend = options.backend || new HtmlAudioBackend();
+      this._clock = this.backend.clock || systemClock;
+      
+      // Channels and buses; channel players share the mixer of the player that created them
+      this.mixer = options.mixer || new UdioMixer(this);
+      this._bus = options.bus || 'main';
+      this._volume = 1.0;
+      
+      this._activeAudio = null;
+      this._audioElement = null;
+      this._currentTrack = null;
+      this._loopTimer = null;
+      this._loopOptions = null;
+      this._loopCount = 0; // Completed repetitions, counted towards a repetitions limit
+      this._loopPasses = 0; // Completed passes through the section loop, for cue events
+      this._eventListeners = {};
+      
+      // Cue points per track, and the position the last cue check got to
+      this._cueSets = new Map();
+      this._cueCursor = null;
+      this._cueTicker = null;
+      this._nextCueId = 1;
+      for (const trackId of Object.keys(options.cues || {})) {
+        this.setCues(trackId, options.cues[trackId]);
+      }
+      
+      // Play queue state
+      this._queue = [];
+      this._queueOrder = [];
+      this._queuePosition = -1;
+      this._queuePlayOptions = {};
+      this._queueTrack = null;
+      this._shuffle = false;
+      this._repeatMode = 'off';
+      this._autoAdvance = options.autoAdvance !== false;
+      this._handleEnded = event => {
+        // Element events dispatch synchronously, so a microtask runs once 'ended' has reached
+        // every listener; queueend and the next track then come after it
+        const element = event.target;
+        Promise.resolve().then(() => {
+          if (this._audioElement === element) this._onTrackEnded();
+        });
+      };
+      this._handlePlayState = () => this._updatePlayState();
+      this._forwardEvent = event => this._forwardElementEvent(event);
+      this._internalEvents = new Map(); // element -> counts of its pause/play events to hide
+      this._playing = false;
+      
+      // Web Audio graph, created lazily the first time it's needed
+      this._audioContext = null;
+      this._faderNode = null;
+      this._outputNode = null;
+      this._duckNode = null;
+      this._fade = null;
+      this._graphNodes = new Map();
+      this._fadingElements = [];
+      this._decodedBuffers = new Map();
+      this._analysisCache = new Map();
+      this._peaksCache = new Map();
+      this._analyserOptions = options.analyser || {};
+      this._analyserNode = null;
+      this._analyserData = {};
+      this._effects = [];
+      this._bufferLoop = null;
+      this._loopToken = 0;
+      this._arrangement = null;
+      
+      // Local copies of audio files for instant starts and offline play
+      this.prefetcher = options.prefetcher || new AudioPrefetcher({
+        ...(options.prefetch || {}),
+        resolveUrl: url => this.client.getAudioUrl(url)
+      });
+      this._autoPrefetch = options.autoPrefetch === true;
+      
+      // Effects chain (filters, EQ, reverb); needs Web Audio
+      for (const effect of options.effects || []) {
+        this.addEffect(effect);
+      }
+      
+      // OS media controls, opt-in since only one player on a page should claim them
+      this._mediaSession = null;
+      if (options.mediaSession) {
+        this.enableMediaSession(options.mediaSession === true ? {} : options.mediaSession);
+      }
+    }
+
+    /**
+     * Search for tracks in Udio's API (see UdioClient#search)
+     * @param {UdioSearchOptions} [options] - Search options
+     * @returns {Promise<UdioTrack[]>} Array of matching tracks
+     */
+    search(options = {}) {
+      return this.client.search(options);
+    }
+
+    /**
+     * Walk through search results page by page, lazily (see UdioClient#searchAll)
+     * @param {UdioSearchOptions} [options] - Search options
+     * @returns {AsyncGenerator<UdioTrack>} Matching tracks
+     * @example
+     * for await (const track of player.searchAll({ tags: ['ambient'], maxResults: 200 })) {
+     *   catalog.push(track);
+     * }
+     */
+    searchAll(options = {}) {
+      return this.client.searchAll(options);
+    }
+
+    /**
+     * Get a single track by matching keywords/tags
+     * @param {string|string[]} keywords - Keywords or tags to search for
+     * @param {UdioSearchOptions} [options] - Additional search options
+     * @returns {Promise<UdioTrack|null>} A matching track or null if none found
+     */
+    getTrack(keywords, options = {}) {
+      return this.client.getTrack(keywords, options);
+    }
+
+    /**
+     * Search for tracks by genre
+     * @param {string} genre - Genre to search for
+     * @param {UdioSearchOptions} [options] - Additional search options
+     * @returns {Promise<UdioTrack[]>} Array of matching tracks
+     */
+    searchByGenre(genre, options = {}) {
+      return this.client.searchByGenre(genre, options);
+    }
+
+    /**
+     * Remove all cached search results (see UdioClient#clearCache)
+     */
+    clearCache() {
+      this.client.clearCache();
+    }
+
+    /**
+     * Report the state of every registered CORS proxy
+     * @returns {UdioProxyStatus[]}
+     */
+    getProxyStatus() {
+      return this.client.getProxyStatus();
+    }
+
+    /**
+     * Download tracks ahead of playback so they start instantly and play offline.
+     * Emits 'preloadprogress' while downloading and 'preloadcomplete' when done.
+     * @param {UdioTrack|UdioTrack[]|string} tracks - Tracks or URLs to download
+     * @returns {Promise<boolean[]>} Whether each track is now available locally
+     */
+    async preload(tracks) {
+      const items = Array.isArray(tracks) ? tracks : [tracks];
+      const results = [];
+      
+      for (let index = 0; index < items.length; index++) {
+        const track = items[index];
+        const url = typeof track === 'string' ? track : track.url;
+        
+        try {
+          results.push(await this.prefetcher.prefetch(url, ({ loaded, total }) => {
+            this._emit('preloadprogress', { track, index, count: items.length, loaded, total });
+          }));
+        } catch (error) {
+          console.warn(`Failed to preload ${url}:`, error);
+          results.push(false);
+        }
+      }
+      
+      this._emit('preloadcomplete', { tracks: items, results });
+      return results;
+    }
+
+    /**
+     * Download the upcoming tracks in the play queue
+     * @param {number} [count=1] - Number of upcoming tracks to download
+     * @returns {Promise<boolean[]>} Whether each track is now available locally
+     */
+    async prefetchNext(count = 1) {
+      const upcoming = [];
+      
+      for (let step = 1; step <= count && step <= this._queueOrder.length; step++) {
+        const position = this._getAdjacentPosition(step);
+        if (position === -1) break;
+        upcoming.push(this._queue[this._queueOrder[position]]);
+      }
+      
+      return upcoming.length > 0 ? this.preload(upcoming) : [];
+    }
+
+    /**
+     * Load and prepare a track for playback
+     * @param {UdioTrack|string} track - Track object or URL to load
+     * @param {UdioAudioOptions} [options] - Audio options
+     * @returns {Promise<HTMLAudioElement>} The audio element
+     */
+    async loadTrack(track, options = {}) {
+      const previousTrack = this._currentTrack;
+      
+      // Clean up any existing audio
+      this.stop();
+      
+      let trackUrl;
+      if (typeof track === 'string') {
+        trackUrl = track;
+        this._currentTrack = { url: track };
+      } else {
+        trackUrl = track.url;
+        this._currentTrack = track;
+      }
+      
+      // Create new audio element
+      this._setVolumeNow(options.volume !== undefined ? options.volume : 1.0);
+      this._audioElement = this._createAudioElement(options);
+      
+      // Keep routing through the Web Audio graph once it's in use (e.g. after a crossfade),
+      // and build it now if effects are waiting for it
+      if (this._audioContext || this._effects.length > 0) {
+        this._connectToGraph(this._audioElement);
+      }
+      
+      // Set up event listeners
+      this._setupEventListeners();
+      
+      this._emit('trackchange', {
+        track: this._currentTrack,
+        previousTrack,
+        queueIndex: this.getQueueIndex()
+      });
+      
+      if (this._autoPrefetch) {
+        this.prefetchNext().catch(error => {
+          console.warn('Prefetching next track failed:', error);
+        });
+      }
+      
+      // Load the track directly (audio elements typically don't have CORS issues)
+      try {
+        const element = this._audioElement;
+        const playbackUrl = await this._getPlaybackUrl(trackUrl);
+        
+        // Another track may have been loaded while looking up the local copy
+        if (this._audioElement !== element) {
+          throw new Error('Track load interrupted');
+        }
+        
+        element.src = playbackUrl;
+        await this._waitForCanPlay(this._audioElement, this._currentTrack);
+        
+        return this._audioElement;
+      } catch (error) {
+        console.error('Error loading track:', error);
+        throw error;
+      }
+    }
+
+    /**
+     * Crossfade from the current track to another one.
+     * The outgoing track keeps playing while the next one loads, then both are
+     * faded through Web Audio gain nodes. Falls back to play() when nothing is
+     * playing or Web Audio is unavailable.
+     * @param {string|string[]|UdioTrack} input - Keywords, tags, track object or URL
+     * @param {UdioCrossfadeOptions} [options] - Crossfade and audio options
+     * @returns {Promise<HTMLAudioElement>} The new audio element, once the fade completes
+     */
+    async crossfadeTo(input, options = {}) {
+      const { duration = 2, curve = 'equal-power', ...audioOptions } = options;
+      const track = await this._resolveTrack(input);
+      
+      const outgoing = this._audioElement;
+      const context = this._getAudioContext();
+      
+      // isPlaying() rather than outgoing.paused: under a buffer loop the element is paused but audible
+      if (!outgoing || !this.isPlaying() || !context || duration <= 0) {
+        return this.play(track, audioOptions);
+      }
+      
+      const outgoingGain = this._connectToGraph(outgoing);
+      
+      // Load the incoming track silently while the current one keeps playing
+      const incoming = this._createAudioElement(audioOptions);
+      const incomingGain = this._connectToGraph(incoming);
+      incomingGain.gain.value = 0;
+      incoming.src = await this._getPlaybackUrl(typeof track === 'string' ? track : track.url);
+      
+      try {
+        await this._waitForCanPlay(incoming, track);
+      } catch (error) {
+        this._disconnectFromGraph(incoming);
+        incoming.src = '';
+        console.error('Error loading track:', error);
+        throw error;
+      }
+      
+      // A stop() or another load may have replaced the outgoing track meanwhile
+      if (this._audioElement !== outgoing) {
+        this._disconnectFromGraph(incoming);
+        incoming.src = '';
+        throw new Error('Crossfade interrupted');
+      }
+      
+      try {
+        await incoming.play();
+      } catch (error) {
+        // Autoplay policy, a decode error or an abort: the outgoing track keeps playing
+        this._disconnectFromGraph(incoming);
+        incoming.src = '';
+        console.error('Error starting crossfade:', error);
+        throw error;
+      }
+      
+      // Only the per-source gains fade: the fader is shared by both tracks, so fading it as well
+      // would fade the outgoing one twice. The fader moves straight to the new volume and the
+      // outgoing gain starts out making up the difference.
+      const volume = audioOptions.volume !== undefined ? audioOptions.volume : 1.0;
+      const outgoingLevel = outgoingGain.gain.value * this._getFaderLevel();
+      const now = context.currentTime;
+      
+      this._scheduleFade(incomingGain.gain, 0, 1, now, duration, curve);
+      if (volume > 0) {
+        this._setVolumeNow(volume);
+        this._scheduleFade(outgoingGain.gain, outgoingLevel / volume, 0, now, duration, curve);
+      } else {
+        // Nothing to make up from silence; fading the fader alone fades the outgoing track once
+        this.fadeTo(0, duration * 1000, curve);
+      }
+      
+      // Hand the player over to the incoming track right away
+      const previousTrack = this._currentTrack;
+      this._clearArrangement();
+      this._clearLoopTimer();
+      this._loopOptions = null;
+      this._removeEventListeners();
+      
+      this._audioElement = incoming;
+      this._currentTrack = typeof track === 'string' ? { url: track } : track;
+      this._setupEventListeners();
+      this._updatePlayState();
+      
+      this._emit('trackchange', {
+        track: this._currentTrack,
+        previousTrack,
+        queueIndex: this.getQueueIndex()
+      });
+      
+      await new Promise(resolve => {
+        const timer = this._clock.setTimeout(() => {
+          this._releaseFadingElement(outgoing);
+          resolve();
+        }, duration * 1000);
+        
+        this._fadingElements.push({ element: outgoing, timer, resolve });
+      });
+      
+      return incoming;
+    }
+
+    /**
+     * Get current track information
+     */
+    getCurrentTrack() {
+      return this._currentTrack;
+    }
+
+    /**
+     * Play a track based on keywords or directly by URL/object
+     * @param {string|string[]|UdioTrack} input - Keywords, tags, track object or URL
+     * @param {UdioAudioOptions} [options] - Audio options
+     * @returns {Promise<HTMLAudioElement>} The audio element, once any fade-in completes
+     */
+    async play(input, options = {}) {
+      const { fadeIn, ...audioOptions } = options;
+      const track = await this._resolveTrack(input);
+      const volume = audioOptions.volume !== undefined ? audioOptions.volume : 1.0;
+      
+      // Load and automatically play the track
+      const playOptions = { ...audioOptions, autoplay: true };
+      if (fadeIn > 0) {
+        playOptions.volume = 0;
+      }
+      await this.loadTrack(track, playOptions);
+      
+      if (fadeIn > 0) {
+        await this.fadeTo(volume, fadeIn);
+      }
+      
+      return this._audioElement;
+    }
+
+    /**
+     * Pause playback of current track
+     * @param {Object} [options]
+     * @param {number} [options.fadeOut] - Fade out over this many milliseconds first
+     *   (the volume is restored for resume())
+     * @returns {Promise<void>|undefined} With fadeOut, resolves once paused
+     */
+    pause(options = {}) {
+      if (options.fadeOut > 0 && this.isPlaying()) {
+        return this._fadeOutThen(options.fadeOut, () => this.pause());
+      }
+      
+      if (this._bufferLoop) {
+        // The element is already paused under the loop, so report the pause ourselves
+        if (this._bufferLoop.source) {
+          this._pauseBufferLoop();
+          this._dispatchElementEvent('pause');
+        }
+        return;
+      }
+      
+      if (this._audioElement) {
+        this._audioElement.pause();
+      }
+    }
+
+    /**
+     * Resume playback of current track. Cancels a pause or stop that is still fading out.
+     * @param {Object} [options]
+     * @param {number} [options.fadeIn] - Fade in over this many milliseconds
+     * @returns {Promise<void>|undefined} With fadeIn, resolves once the fade completes
+     */
+    resume(options = {}) {
+      const fade = this._fade;
+      const fadingOut = !!(fade && fade.restore !== undefined);
+      const level = fadingOut ? fade.restore : this._volume;
+      let fading;
+      
+      if (options.fadeIn > 0 && (fadingOut || !this.isPlaying())) {
+        if (!fadingOut) {
+          this._setVolumeNow(0);
+        }
+        fading = this.fadeTo(level, options.fadeIn).then(() => {});
+      } else if (fadingOut) {
+        this._setVolumeNow(level);
+      }
+      
+      this._resumePlayback();
+      return fading;
+    }
+
+    _resumePlayback() {
+      if (this._bufferLoop) {
+        if (!this._bufferLoop.source) {
+          this._startBufferLoop(this._bufferLoop.position);
+          this._dispatchElementEvent('play');
+        }
+        return;
+      }
+      
+      if (this._audioElement) {
+        this._audioElement.play().catch(error => {
+          console.error('Error resuming playback:', error);
+        });
+      }
+    }
+
+    /**
+     * Stop playback and unload current track
+     * @param {Object} [options]
+     * @param {number} [options.fadeOut] - Fade out over this many milliseconds first
+     * @returns {Promise<void>|undefined} With fadeOut, resolves once stopped
+     */
+    stop(options = {}) {
+      if (options.fadeOut > 0 && this.isPlaying()) {
+        return this._fadeOutThen(options.fadeOut, () => this.stop());
+      }
+      
+      this._cancelFade();
+      this._clearArrangement();
+      this._stopBufferLoop(false);
+      this._clearLoopTimer();
+      this._releaseFadingElements();
+      
+      if (this._audioElement) {
+        this._audioElement.pause();
+        this._audioElement.src = '';
+        this._removeEventListeners();
+        this._disconnectFromGraph(this._audioElement);
+        this._audioElement = null;
+      }
+      
+      this._currentTrack = null;
+      this._updatePlayState();
+      this._updateMediaSession();
+    }
+
+    /**
+     * Set volume level
+     * @param {number} level - Volume level between 0.0 and 1.0
+     */
+    setVolume(level) {
+      if (this._audioElement && level >= 0 && level <= 1) {
+        this._setVolumeNow(level);
+        
+        if (this._bufferLoop) {
+          this._bufferLoop.gain.gain.value = this._audioElement.volume;
+        }
+      }
+    }
+
+    /**
+     * Get current volume level
+     * @returns {number} Current volume (0.0 to 1.0), part-way through any fade
+     */
+    getVolume() {
+      return this._audioElement ? this._getFaderLevel() : 0;
+    }
+
+    /**
+     * Fade the volume to a new level. The fade is scheduled on the audio clock with
+     * Web Audio, and stepped along the backend's clock without it.
+     * @param {number} level - Target volume between 0.0 and 1.0
+     * @param {number} [ms=500] - Fade duration in milliseconds
+     * @param {string} [easing='linear'] - 'linear', 'equal-power', 'ease-in', 'ease-out' or 'ease-in-out'
+     * @returns {Promise<boolean>} Resolves when the fade completes (true), or when a later
+     *   fade, setVolume() or stop() interrupts it (false)
+     */
+    fadeTo(level, ms = 500, easing = 'linear') {
+      if (!this._audioElement || !(level >= 0 && level <= 1)) {
+        return Promise.resolve(false);
+      }
+      
+      const from = this._getFaderLevel();
+      
+      if (!(ms > 0)) {
+        this._setVolumeNow(level);
+        return Promise.resolve(true);
+      }
+      
+      this._cancelFade();
+      this._volume = level;
+      
+      return new Promise(resolve => {
+        const fade = {
+          from,
+          to: level,
+          curve: easing,
+          start: this._clock.now(),
+          duration: ms,
+          ticker: null,
+          timer: null,
+          resolve
+        };
+        this._fade = fade;
+        
+        if (this._faderNode) {
+          this._scheduleFade(this._faderNode.gain, from, level, this._audioContext.currentTime, ms / 1000, easing);
+        } else {
+          // No audio clock to schedule on, so step the element volume
+          fade.ticker = this._clock.setInterval(() => {
+            if (this._audioElement) {
+              this._audioElement.volume = this._getElementVolume();
+            }
+          }, 20);
+        }
+        
+        fade.timer = this._clock.setTimeout(() => {
+          if (fade.ticker !== null) {
+            this._clock.clearInterval(fade.ticker);
+          }
+          this._fade = null;
+          
+          if (this._audioElement && !this._faderNode) {
+            this._audioElement.volume = this._getElementVolume();
+          }
+          resolve(true);
+        }, ms);
+      });
+    }
+
+    /**
+     * Set playback rate
+     * @param {number} rate - Playback rate (0.5 to 4.0)
+     */
+    setPlaybackRate(rate) {
+      if (this._audioElement && rate >= 0.5 && rate <= 4.0) {
+        if (this._bufferLoop && this._bufferLoop.source) {
+          // Re-anchor so position tracking stays correct at the new rate
+          this._reanchorBufferLoop();
+          this._bufferLoop.source.playbackRate.value = rate;
+        }
+        
+        this._audioElement.playbackRate = rate;
+      }
+    }
+
+    /**
+     * Get current playback rate
+     * @returns {number} Current playback rate
+     */
+    getPlaybackRate() {
+      return this._audioElement ? this._audioElement.playbackRate : 1.0;
+    }
+
+    /**
+     * Decode a track locally and estimate its tempo, beats and bar boundaries.
+     * Results are cached per track id and options; the decoded audio is not kept.
+     * @param {UdioTrack|string} [track] - Track object or URL (defaults to the current track)
+     * @param {Object} [options] - Analysis options (minBpm, maxBpm, beatsPerBar)
+     * @returns {Promise<UdioTrackAnalysis>} The analysis
+     */
+    async analyzeTrack(track = this._currentTrack, options = {}) {
+      if (!track) {
+        throw new Error('No track to analyze');
+      }
+      
+      const minBpm = options.minBpm || 60;
+      const maxBpm = options.maxBpm || 200;
+      const beatsPerBar = options.beatsPerBar || 4;
+      const key = `${typeof track === 'string' ? track : (track.id || track.url)}:${minBpm}-${maxBpm}:${beatsPerBar}`;
+      
+      if (!this._analysisCache.has(key)) {
+        const pending = this._decodeTrack(track, { keep: false })
+          .then(buffer => analyzeBeats(buffer, { minBpm, maxBpm, beatsPerBar }));
+        pending.catch(() => this._analysisCache.delete(key));
+        this._analysisCache.set(key, pending);
+      }
+      
+      return this._analysisCache.get(key);
+    }
+
+    /**
+     * Compute a waveform overview of a track, e.g. for thumbnails or a loop editor.
+     * Only the peaks are cached (per track and bucket count), not the decoded audio; they
+     * are plain arrays, so they can also be stored.
+     * @param {UdioTrack|string} [track] - Track or URL (defaults to the current track)
+     * @param {number} [buckets=200] - Number of min/max pairs, e.g. the width of the canvas
+     * @returns {Promise<UdioPeaks>} The peaks
+     */
+    async computePeaks(track = this._currentTrack, buckets = 200) {
+      if (!track) {
+        throw new Error('No track to analyze');
+      }
+      
+      const key = `${typeof track === 'string' ? track : (track.id || track.url)}:${buckets}`;
+      
+      if (!this._peaksCache.has(key)) {
+        const pending = this._decodeTrack(track, { keep: false }).then(buffer => extractPeaks(buffer, buckets));
+        pending.catch(() => this._peaksCache.delete(key));
+        this._peaksCache.set(key, pending);
+      }
+      
+      return this._peaksCache.get(key);
+    }
+
+    /**
+     * Get the AnalyserNode watching this player's output, creating it on first use
+     * @returns {AnalyserNode|null} The analyser, or null without Web Audio
+     */
+    getAnalyser() {
+      if (this._analyserNode) return this._analyserNode;
+      
+      const context = this._getAudioContext();
+      if (!context) return null;
+      
+      const options = this._analyserOptions;
+      const analyser = context.createAnalyser();
+      analyser.fftSize = options.fftSize || 2048;
+      analyser.smoothingTimeConstant = options.smoothingTimeConstant !== undefined ? options.smoothingTimeConstant : 0.8;
+      if (options.minDecibels !== undefined) analyser.minDecibels = options.minDecibels;
+      if (options.maxDecibels !== undefined) analyser.maxDecibels = options.maxDecibels;
+      
+      this._analyserNode = analyser;
+      this._connectChain();
+      return analyser;
+    }
+
+    /**
+     * Get the current frequency spectrum, e.g. once per animation frame for a visualizer
+     * @param {Uint8Array|Float32Array} [array] - Array to fill: bytes (0-255) or decibels
+     *   (a reused Uint8Array of analyser.frequencyBinCount by default)
+     * @returns {Uint8Array|Float32Array|null} The spectrum, or null without Web Audio
+     */
+    getFrequencyData(array) {
+      const analyser = this.getAnalyser();
+      if (!analyser) return null;
+      
+      const data = array || this._getAnalyserArray('frequency', analyser.frequencyBinCount);
+      if (data instanceof Float32Array) {
+        analyser.getFloatFrequencyData(data);
+      } else {
+        analyser.getByteFrequencyData(data);
+      }
+      return data;
+    }
+
+    /**
+     * Get the current waveform (time-domain samples)
+     * @param {Uint8Array|Float32Array} [array] - Array to fill: bytes (128 = silence) or
+     *   samples (-1.0 to 1.0) (a reused Uint8Array of analyser.fftSize by default)
+     * @returns {Uint8Array|Float32Array|null} The waveform, or null without Web Audio
+     */
+    getWaveformData(array) {
+      const analyser = this.getAnalyser();
+      if (!analyser) return null;
+      
+      const data = array || this._getAnalyserArray('waveform', analyser.fftSize);
+      if (data instanceof Float32Array) {
+        analyser.getFloatTimeDomainData(data);
+      } else {
+        analyser.getByteTimeDomainData(data);
+      }
+      return data;
+    }
+
+    /**
+     * Add an effect to the end of the chain, or replace the effect with the same name
+     * @param {UdioEffectOptions} options - Effect type, name and starting parameters
+     * @returns {string} The effect's name
+     * @example
+     * player.addEffect({ type: 'lowpass', name: 'underwater', frequency: 20000 });
+     * player.setEffectParam('underwater.frequency', 600, { rampMs: 400 });
+     */
+    addEffect(options) {
+      const defaults = EFFECT_DEFAULTS[options.type];
+      if (!defaults) {
+        throw new Error(`Unknown effect type: ${options.type}`);
+      }
+      
+      const settings = {};
+      for (const param of Object.keys(defaults)) {
+        settings[param] = options[param] !== undefined ? options[param] : defaults[param];
+      }
+      
+      const effect = { name: options.name || options.type, type: options.type, settings, nodes: null };
+      const index = this._effects.findIndex(existing => existing.name === effect.name);
+      
+      if (index === -1) {
+        this._effects.push(effect);
+      } else {
+        const replaced = this._effects[index];
+        if (replaced.nodes) replaced.nodes.output.disconnect();
+        this._effects[index] = effect;
+      }
+      
+      // Nodes are built with the rest of the graph once something plays, so configuring
+      // effects up front doesn't start an AudioContext before a user gesture
+      if (!this._audioContext && !this._audioElement) {
+        return effect.name;
+      }
+      
+      const context = this._getAudioContext();
+      if (!context) {
+        console.warn(`Effect "${effect.name}" needs Web Audio, which is not available; it will not be heard`);
+        return effect.name;
+      }
+      
+      if (!effect.nodes) {
+        effect.nodes = createEffectNodes(context, effect.type, settings);
+      }
+      this._connectChain();
+      return effect.name;
+    }
+
+    /**
+     * Remove an effect from the chain
+     * @param {string} name - Effect name
+     * @returns {boolean} True if the effect existed
+     */
+    removeEffect(name) {
+      const index = this._effects.findIndex(effect => effect.name === name);
+      if (index === -1) return false;
+      
+      const [effect] = this._effects.splice(index, 1);
+      if (effect.nodes) {
+        effect.nodes.output.disconnect();
+        this._connectChain();
+      }
+      return true;
+    }
+
+    /**
+     * Get the effects chain in order, with current parameter values
+     * @returns {Array<UdioEffectOptions>} The effects
+     */
+    getEffects() {
+      return this._effects.map(effect => ({ type: effect.type, name: effect.name, ...effect.settings }));
+    }
+
+    /**
+     * Change an effect parameter, e.g. from game state
+     * @param {string} name - Effect and parameter, such as 'underwater.frequency' or 'cave.mix'
+     * @param {number} value - New value
+     * @param {Object} [options]
+     * @param {number} [options.rampMs=0] - Glide to the value over this many milliseconds
+     *   (frequencies glide exponentially; reverb seconds/decay always change at once)
+     * @returns {boolean} True if the parameter exists
+     */
+    setEffectParam(name, value, options = {}) {
+      const [effectName, param] = String(name).split('.');
+      const effect = this._effects.find(existing => existing.name === effectName);
+      
+      if (!effect || !param || !(param in effect.settings)) {
+        console.warn(`Unknown effect parameter: ${name}`);
+        return false;
+      }
+      
+      effect.settings[param] = value;
+      if (effect.nodes) {
+        effect.nodes.set(param, value, (options.rampMs || 0) / 1000);
+      }
+      return true;
+    }
+
+    /**
+     * Set current playback position
+     * @param {number} seconds - Position in seconds
+     */
+    seek(seconds) {
+      if (this._bufferLoop) {
+        const target = Math.max(0, Math.min(seconds, this._bufferLoop.buffer.duration));
+        
+        if (this._bufferLoop.source) {
+          this._startBufferLoop(target);
+        } else {
+          this._bufferLoop.position = target;
+        }
+        this._moveCueCursor();
+        return;
+      }
+      
+      if (this._audioElement) {
+        this._audioElement.currentTime = Math.max(0, Math.min(seconds, this._audioElement.duration));
+        this._moveCueCursor();
+      }
+    }
+
+    /**
+     * Seek to a position on the track's beat grid, analyzing the track first if needed
+     * @param {UdioQuantizedPosition} position - Beat-grid position, such as { bars: 4 }
+     * @returns {Promise<void>} Resolves once the position is set
+     */
+    async seekToGrid(position) {
+      const track = this._currentTrack;
+      const analysis = await this.analyzeTrack(track);
+      
+      // The track changed while analyzing
+      if (this._currentTrack !== track) return;
+      
+      this.seek(this._getGridTime(analysis, position));
+    }
+
+    /**
+     * Whether audio is currently playing (from the audio element or a buffer loop)
+     * @returns {boolean}
+     */
+    isPlaying() {
+      if (!this._audioElement) return false;
+      
+      if (this._bufferLoop) {
+        return !!this._bufferLoop.source;
+      }
+      return !this._audioElement.paused;
+    }
+
+    /**
+     * Get current playback position
+     * @returns {number} Current position in seconds
+     */
+    getCurrentTime() {
+      if (this._bufferLoop) {
+        return this._getBufferLoopPosition();
+      }
+      
+      return this._audioElement ? this._audioElement.currentTime : 0;
+    }
+
+    /**
+     * Get track duration
+     * @returns {number} Duration in seconds
+     */
+    getDuration() {
+      return this._audioElement ? this._audioElement.duration : 0;
+    }
+
+    /**
+     * Set loop mode
+     * @param {boolean} enabled - Whether to enable looping
+     */
+    setLoop(enabled) {
+      if (this._audioElement) {
+        this._clearLoopTimer();
+        this._audioElement.loop = enabled;
+      }
+    }
+
+    /**
+     * Loop a specific section of the track
+     * @param {UdioLoopOptions} options - Loop options
+     * @returns {Promise<void>} Resolves once the loop is armed (after decoding in 'webaudio' mode)
+     */
+    loopSection(options) {
+      if (!this._audioElement) return Promise.resolve();
+      
+      if (options.bars !== undefined || typeof options.startTime === 'object' || typeof options.endTime === 'object') {
+        return this._loopQuantizedSection(options);
+      }
+      
+      this._clearLoopTimer();
+      
+      // Disable standard loop
+      this._audioElement.loop = false;
+      
+      // Store loop options
+      this._loopOptions = {
+        startTime: options.startTime,
+        endTime: options.endTime,
+        repetitions: options.repetitions,
+        keepPosition: options.keepPosition === true
+      };
+      
+      this._loopCount = 0;
+      this._loopPasses = 0;
+      
+      const mode = options.mode || this.loopMode;
+      if (mode === 'webaudio' && this._getAudioContext()) {
+        return this._setupBufferLoop();
+      }
+      
+      // Start loop
+      this._setupLoopHandler();
+      
+      // Jump to loop start point if we're not already in the loop
+      if (this._isOutsideLoop(this._audioElement.currentTime)) {
+        this.seek(options.startTime);
+      }
+      
+      return Promise.resolve();
+    }
+
+    /**
+     * Cancel section looping
+     */
+    cancelLoopSection() {
+      this._clearLoopTimer();
+      this._loopOptions = null;
+    }
+
+    /**
+     * Add a cue point. A 'cue' event fires each time playback crosses it, on every pass
+     * through a looped section too; seeking past a cue doesn't fire it.
+     * @param {number} time - Position in seconds
+     * @param {string} name - Cue name
+     * @param {*} [data] - Anything to pass along with the event
+     * @param {UdioTrack|string} [track] - Track or track id (defaults to the current track)
+     * @returns {number} Cue id, for removeCue()
+     * @example
+     * player.addCue(61.5, 'drop', { wave: 3 });
+     * player.addEventListener('cue', event => {
+     *   if (event.detail.name === 'drop') spawnWave(event.detail.data.wave);
+     * });
+     */
+    addCue(time, name, data, track = this._currentTrack) {
+      const key = this._getCueKey(track);
+      if (!key) {
+        throw new Error('No track to add a cue to');
+      }
+      
+      const cue = { id: this._nextCueId++, time, name, data };
+      const cues = this._cueSets.get(key) || [];
+      cues.push(cue);
+      cues.sort((a, b) => a.time - b.time);
+      this._cueSets.set(key, cues);
+      
+      return cue.id;
+    }
+
+    /**
+     * Remove cue points
+     * @param {number|string} cue - Cue id from addCue(), or a name to remove every cue with that name
+     * @param {UdioTrack|string} [track] - Track or track id (defaults to the current track)
+     * @returns {boolean} True if any cue was removed
+     */
+    removeCue(cue, track = this._currentTrack) {
+      const key = this._getCueKey(track);
+      const cues = key ? this._cueSets.get(key) : null;
+      if (!cues) return false;
+      
+      const field = typeof cue === 'number' ? 'id' : 'name';
+      const remaining = cues.filter(existing => existing[field] !== cue);
+      
+      if (remaining.length === 0) {
+        this._cueSets.delete(key);
+      } else {
+        this._cueSets.set(key, remaining);
+      }
+      return remaining.length !== cues.length;
+    }
+
+    /**
+     * Replace all cue points of a track, e.g. with a cue sheet stored alongside level data
+     * @param {UdioTrack|string} track - Track or track id
+     * @param {UdioCue[]} cues - Cue points (ids are assigned anew)
+     */
+    setCues(track, cues) {
+      const key = this._getCueKey(track);
+      if (!key) {
+        throw new Error('No track to set cues for');
+      }
+      
+      this._cueSets.delete(key);
+      for (const cue of cues) {
+        this.addCue(cue.time, cue.name, cue.data, key);
+      }
+    }
+
+    /**
+     * Get the cue points of a track, in time order
+     * @param {UdioTrack|string} [track] - Track or track id (defaults to the current track)
+     * @returns {UdioCue[]} The cues
+     */
+    getCues(track = this._currentTrack) {
+      const key = this._getCueKey(track);
+      const cues = key ? this._cueSets.get(key) : null;
+      return cues ? cues.map(cue => ({ ...cue })) : [];
+    }
+
+    /**
+     * Play a track as an intro / loop / outro arrangement: the intro plays once,
+     * the loop section repeats until exitLoop() is called, then the outro plays
+     * and playback stops. Emits 'segmentstart' as each segment begins and
+     * 'arrangementend' when the outro finishes.
+     * @param {string|string[]|UdioTrack} input - Keywords, tags, track object or URL
+     * @param {UdioArrangement} arrangement - Segment boundaries
+     * @param {UdioAudioOptions} [options] - Audio options
+     * @returns {Promise<HTMLAudioElement>} The audio element
+     */
+    async playArrangement(input, arrangement, options = {}) {
+      const { intro, loop, outro, mode } = arrangement;
+      if (!loop || loop.endTime <= loop.startTime) {
+        throw new Error('Arrangement requires a loop section with endTime after startTime');
+      }
+      if (intro && (intro.endTime !== undefined ? intro.endTime <= intro.startTime : intro.startTime >= loop.startTime)) {
+        throw new Error('Arrangement intro requires an endTime after startTime, unless it plays into the loop');
+      }
+      if (outro && outro.endTime !== undefined && outro.endTime <= outro.startTime) {
+        throw new Error('Arrangement outro requires an endTime after startTime');
+      }
+      
+      const element = await this.play(input, options);
+      
+      // An intro that ends where the loop starts plays into the loop, which is armed up front so
+      // the handover is seamless. Any other intro jumps to the loop once it reaches its endTime.
+      const introLeadsIn = !!intro && intro.startTime < loop.startTime &&
+        (intro.endTime === undefined || Math.abs(intro.endTime - loop.startTime) < 0.05);
+      
+      this._arrangement = { intro, loop, outro, mode, introLeadsIn, segment: null, exiting: false, timer: null };
+      this.seek(intro ? intro.startTime : loop.startTime);
+      this._startArrangementSegment(intro ? 'intro' : 'loop');
+      
+      if (!intro || introLeadsIn) {
+        await this._armArrangementLoop();
+      } else if ((mode || this.loopMode) === 'webaudio' && this._getAudioContext()) {
+        // Decode during the intro, so the buffer loop is ready when it ends
+        this._decodeTrack(this._currentTrack).catch(() => {});
+      }
+      
+      // Watch for the intro -> loop handover and the end of the outro
+      const state = this._arrangement;
+      if (state) {
+        state.timer = this._clock.setInterval(() => this._checkArrangement(), 50);
+      }
+      
+      return element;
+    }
+
+    /**
+     * Leave the loop of the current arrangement and play its outro
+     * @param {Object} [options]
+     * @param {boolean} [options.atNextBoundary=true] - Finish the current loop iteration first;
+     *   when false, jump to the outro immediately
+     */
+    exitLoop(options = {}) {
+      const state = this._arrangement;
+      if (!state || state.exiting || state.segment === 'outro') return;
+      
+      state.exiting = true;
+      
+      if (options.atNextBoundary !== false && this._loopOptions) {
+        // The loop ends after the iteration in progress; _onLoopSectionEnd takes it from there
+        this._syncBufferLoopCount();
+        this._setLoopRepetitions(this._loopCount + 1);
+        return;
+      }
+      
+      this.cancelLoopSection();
+      this._startOutro();
+    }
+
+    /**
+     * Get the segment of the current arrangement that is playing
+     * @returns {('intro'|'loop'|'outro'|null)} Segment name, or null if no arrangement is playing
+     */
+    getArrangementSegment() {
+      return this._arrangement ? this._arrangement.segment : null;
+    }
+
+    /**
+     * Add an event listener
+     * @param {string} event - Event name (play, pause, ended, timeupdate, etc)
+     * @param {Function} callback - Callback function
+     */
+    addEventListener(event, callback) {
+      if (!this._eventListeners[event]) {
+        this._eventListeners[event] = [];
+      }
+      this._eventListeners[event].push(callback);
+      
+      // Element events reach listeners through one forwarder, which hides the player's own pauses
+      if (this._audioElement && this._eventListeners[event].length === 1) {
+        this._audioElement.addEventListener(event, this._forwardEvent);
+      }
+    }
+
+    /**
+     * Remove an event listener
+     * @param {string} event - Event name
+     * @param {Function} callback - Callback function to remove
+     */
+    removeEventListener(event, callback) {
+      if (this._eventListeners[event]) {
+        this._eventListeners[event] = this._eventListeners[event].filter(cb => cb !== callback);
+      }
+      
+      if (this._audioElement && (!this._eventListeners[event] || this._eventListeners[event].length === 0)) {
+        this._audioElement.removeEventListener(event, this._forwardEvent);
+      }
+    }
+
+    /**
+     * Get current track information
+     * @returns {UdioTrack|null} Current track or null if none loaded
+     */
+    getCurrentTrack() {
+      return this._currentTrack;
+    }
+
+    /**
+     * Take a snapshot of what's playing, to store with a save game or in localStorage
+     * @returns {UdioPlayerState} The snapshot
+     * @example
+     * localStorage.setItem('music', JSON.stringify(player.getState()));
+     * // ...after reloading
+     * await player.restoreState(JSON.parse(localStorage.getItem('music')), { autoplay: true });
+     */
+    getState() {
+      const fade = this._fade;
+      const currentTime = this.getCurrentTime();
+      this._syncBufferLoopCount();
+      const loop = this._loopOptions;
+      
+      return {
+        version: 1,
+        track: this._currentTrack ? JSON.parse(JSON.stringify(this._currentTrack)) : null,
+        currentTime,
+        playing: this.isPlaying(),
+        // Where the volume is heading, so a snapshot taken mid-fade doesn't restore half a fade
+        volume: fade ? (fade.restore !== undefined ? fade.restore : fade.to) : this._volume,
+        playbackRate: this.getPlaybackRate(),
+        loop: this._audioElement ? this._audioElement.loop : false,
+        loopSection: loop ? {
+          startTime: loop.startTime,
+          endTime: loop.endTime,
+          repetitions: loop.repetitions,
+          keepPosition: loop.keepPosition
+        } : null,
+        loopCount: loop ? this._loopCount : 0
+      };
+    }
+
+    /**
+     * Load the track from a snapshot, seek to its position and re-arm its section loop
+     * @param {UdioPlayerState} state - Snapshot from getState()
+     * @param {Object} [options]
+     * @param {boolean} [options.autoplay=false] - Start playing once restored
+     * @param {number} [options.fadeIn] - With autoplay, fade in over this many milliseconds
+     * @returns {Promise<HTMLAudioElement|null>} The audio element, or null for an empty snapshot
+     */
+    async restoreState(state, options = {}) {
+      if (!state || !state.track) {
+        this.stop();
+        return null;
+      }
+      
+      await this.loadTrack(state.track, {
+        volume: state.volume,
+        playbackRate: state.playbackRate,
+        loop: state.loop,
+        autoplay: false
+      });
+      
+      this.seek(state.currentTime || 0);
+      
+      if (state.loopSection) {
+        const { startTime, endTime, repetitions, keepPosition } = state.loopSection;
+        await this.loopSection({ startTime, endTime, repetitions, keepPosition });
+        
+        // Set before playback starts, so a buffer loop anchors on the restored count
+        if (this._loopOptions) {
+          this._loopCount = state.loopCount || 0;
+        }
+      }
+      
+      if (options.autoplay) {
+        await this.resume({ fadeIn: options.fadeIn });
+      }
+      
+      return this._audioElement;
+    }
+
+    /**
+     * Stop playback and release what the player holds on to: its listener on a (possibly
+     * shared) client, the media session, its Web Audio nodes and decoded audio.
+     * The player shouldn't be used afterwards.
+     */
+    destroy() {
+      this.stop();
+      this.client.removeEventListener('fallback', this._handleFallback);
+      this.disableMediaSession();
+      this.clearDecodedAudio();
+      
+      if (this._outputNode) {
+        this._outputNode.disconnect();
+        this._duckNode.disconnect();
+      }
+    }
+
+    /**
+     * Show the current track on the lock screen and in OS media controls, and let media keys,
+     * headsets and notifications control this player (Media Session API).
+     * Does nothing where the API is missing.
+     * @param {UdioMediaSessionOptions} [options] - Media session options
+     * @returns {boolean} True if the Media Session API is available
+     */
+    enableMediaSession(options = {}) {
+      const session = typeof navigator !== 'undefined' ? navigator.mediaSession : null;
+      if (!session) return false;
+      
+      this.disableMediaSession();
+      
+      const seekOffset = options.seekOffset || 10;
+      const report = promise => Promise.resolve(promise).catch(error => {
+        console.warn('Media session action failed:', error);
+      });
+      
+      const handlers = {
+        play: () => report(this.resume()),
+        pause: () => report(this.pause()),
+        stop: () => report(this.stop()),
+        seekto: details => this.seek(details.seekTime),
+        seekbackward: details => this.seek(Math.max(0, this.getCurrentTime() - (details.seekOffset || seekOffset))),
+        seekforward: details => this.seek(this.getCurrentTime() + (details.seekOffset || seekOffset)),
+        previoustrack: () => report(this.previous()),
+        nexttrack: () => report(this.next())
+      };
+      
+      const update = () => this._updateMediaSession();
+      const listeners = {
+        trackchange: update,
+        queuechange: update,
+        playstatechange: update,
+        timeupdate: () => this._updateMediaPosition()
+      };
+      
+      this._mediaSession = { session, options, handlers, listeners, track: null };
+      for (const event of Object.keys(listeners)) {
+        this.addEventListener(event, listeners[event]);
+      }
+      
+      this._updateMediaSession();
+      return true;
+    }
+
+    /**
+     * Stop publishing to OS media controls and release the media keys
+     */
+    disableMediaSession() {
+      const mediaSession = this._mediaSession;
+      if (!mediaSession) return;
+      
+      this._mediaSession = null;
+      for (const event of Object.keys(mediaSession.listeners)) {
+        this.removeEventListener(event, mediaSession.listeners[event]);
+      }
+      for (const action of Object.keys(mediaSession.handlers)) {
+        this._setMediaAction(mediaSession.session, action, null);
+      }
+      
+      mediaSession.session.metadata = null;
+      mediaSession.session.playbackState = 'none';
+    }
+
+    /**
+     * Play a random track that matches the specified genre
+     * @param {string} genre - Genre to search for
+     * @param {UdioAudioOptions} [options] - Audio options
+     * @returns {Promise<HTMLAudioElement>} The audio element
+     */
+    async playRandomByGenre(genre, options = {}) {
+      const tracks = await this.searchByGenre(genre, { maxResults: 10 });
+      
+      if (!tracks || tracks.length === 0) {
+        throw new Error(`No tracks found for genre: ${genre}`);
+      }
+      
+      const randomIndex = Math.floor(Math.random() * tracks.length);
+      return this.play(tracks[randomIndex], options);
+    }
+
+    /**
+     * Create a music director that maps game states to searches and transitions
+     * @param {Object} [options] - Director options (fadeDuration, historySize)
+     * @returns {MusicDirector} A new director bound to this player
+     */
+    createDirector(options = {}) {
+      return new MusicDirector(this, options);
+    }
+
+    /**
+     * Get a mixer channel, creating it on first use. Channels play at the same time,
+     * each with its own track, loops and volume; bus levels are set on player.mixer.
+     * @param {string} name - Channel name, e.g. 'ambience' ('main' is the player owning the mixer)
+     * @param {Object} [options] - Player options for a new channel (loopMode, autoAdvance, ...)
+     * @returns {UdioPlayer} The channel's player
+     * @example
+     * player.channel('ambience').play('rain ambience', { loop: true, volume: 0.6 });
+     * player.mixer.setBusVolume('ambience', 0.5);
+     */
+    channel(name, options = {}) {
+      return this.mixer.channel(name, options);
+    }
+
+    /**
+     * Duck this channel's bus (see UdioMixer#duck)
+     * @param {UdioDuckOptions} [options] - Duck amount and envelope
+     * @returns {{release: function(): void}} Handle ending the duck
+     */
+    duck(options = {}) {
+      return this.mixer.duck(this._bus, options);
+    }
+
+    /**
+     * Add one or more tracks to the end of the play queue
+     * @param {UdioTrack|UdioTrack[]} tracks - Track or tracks to enqueue (e.g. search results)
+     * @returns {number} New queue length
+     */
+    enqueue(tracks) {
+      const items = (Array.isArray(tracks) ? tracks : [tracks]).filter(Boolean);
+      if (items.length === 0) return this._queue.length;
+      
+      const firstIndex = this._queue.length;
+      this._queue.push(...items);
+      
+      const newIndices = items.map((_, i) => firstIndex + i);
+      if (this._shuffle) {
+        // Shuffle new entries into the part of the order that hasn't played yet
+        const upcoming = this._queueOrder.splice(this._queuePosition + 1).concat(newIndices);
+        this._queueOrder.push(...this._shuffleIndices(upcoming));
+      } else {
+        this._queueOrder.push(...newIndices);
+      }
+      
+      this._emitQueueChange();
+      return this._queue.length;
+    }
+
+    /**
+     * Replace the play queue with a new list of tracks
+     * @param {UdioTrack[]} tracks - Tracks for the new queue
+     */
+    setQueue(tracks) {
+      this._queue = [];
+      this._queueOrder = [];
+      this._queuePosition = -1;
+      this.enqueue(tracks || []);
+      
+      if (this._queue.length === 0) {
+        this._emitQueueChange();
+      }
+    }
+
+    /**
+     * Remove a track from the play queue
+     * @param {number} index - Index of the track in the queue
+     * @returns {UdioTrack|null} The removed track or null if the index is invalid
+     */
+    removeFromQueue(index) {
+      if (index < 0 || index >= this._queue.length) return null;
+      
+      const [removed] = this._queue.splice(index, 1);
+      const position = this._queueOrder.indexOf(index);
+      
+      this._queueOrder.splice(position, 1);
+      this._queueOrder = this._queueOrder.map(i => (i > index ? i - 1 : i));
+      
+      if (position < this._queuePosition) {
+        this._queuePosition--;
+      } else if (position === this._queuePosition) {
+        // The playing track keeps playing, but it's no longer part of the queue
+        this._queuePosition--;
+      }
+      
+      this._emitQueueChange();
+      return removed;
+    }
+
+    /**
+     * Remove all tracks from the play queue (the current track keeps playing)
+     */
+    clearQueue() {
+      this.setQueue([]);
+    }
+
+    /**
+     * Get the tracks in the play queue, in insertion order
+     * @returns {UdioTrack[]} Copy of the queue
+     */
+    getQueue() {
+      return this._queue.slice();
+    }
+
+    /**
+     * Get the queue index of the current track
+     * @returns {number} Index into getQueue(), or -1 if not playing from the queue
+     */
+    getQueueIndex() {
+      const index = this._queueOrder[this._queuePosition];
+      return index === undefined ? -1 : index;
+    }
+
+    /**
+     * Play a track from the play queue
+     * @param {number} [index=0] - Index of the track in the queue
+     * @param {UdioAudioOptions} [options] - Audio options, reused when the queue advances
+     * @returns {Promise<HTMLAudioElement>} The audio element
+     */
+    async playQueue(index = 0, options = {}) {
+      if (index < 0 || index >= this._queue.length) {
+        throw new Error(`Queue index out of range: ${index}`);
+      }
+      
+      this._queuePlayOptions = { ...options };
+      
+      if (this._shuffle) {
+        // Start a fresh shuffled order beginning with the requested track
+        this._queueOrder = [index].concat(this._shuffleIndices(
+          this._queue.map((_, i) => i).filter(i => i !== index)
+        ));
+        return this._playQueuePosition(0);
+      }
+      
+      return this._playQueuePosition(this._queueOrder.indexOf(index));
+    }
+
+    /**
+     * Whether there is a track to advance to with next()
+     * @returns {boolean}
+     */
+    hasNext() {
+      return this._getAdjacentPosition(1) !== -1;
+    }
+
+    /**
+     * Whether there is a track to go back to with previous()
+     * @returns {boolean}
+     */
+    hasPrevious() {
+      return this._getAdjacentPosition(-1) !== -1;
+    }
+
+    /**
+     * Play the next track in the queue, honouring shuffle and repeat-all
+     * @returns {Promise<HTMLAudioElement|null>} The audio element, or null at the end of the queue
+     */
+    async next() {
+      const position = this._getAdjacentPosition(1);
+      if (position === -1) return null;
+      
+      if (position === 0 && this._shuffle && this._queuePosition !== -1) {
+        // Wrapping around with repeat-all: reshuffle for the next pass
+        this._queueOrder = this._shuffleIndices(this._queueOrder);
+      }
+      
+      return this._playQueuePosition(position);
+    }
+
+    /**
+     * Play the previous track in the queue, honouring shuffle and repeat-all
+     * @returns {Promise<HTMLAudioElement|null>} The audio element, or null at the start of the queue
+     */
+    async previous() {
+      const position = this._getAdjacentPosition(-1);
+      if (position === -1) return null;
+      
+      return this._playQueuePosition(position);
+    }
+
+    /**
+     * Enable or disable shuffled queue playback
+     * @param {boolean} enabled - Whether to shuffle
+     */
+    setShuffle(enabled) {
+      enabled = !!enabled;
+      if (enabled === this._shuffle) return;
+      
+      this._shuffle = enabled;
+      const currentIndex = this.getQueueIndex();
+      const allIndices = this._queue.map((_, i) => i);
+      
+      if (enabled) {
+        // Keep the current track in place and shuffle everything after it
+        const rest = allIndices.filter(i => i !== currentIndex);
+        this._queueOrder = currentIndex === -1
+          ? this._shuffleIndices(rest)
+          : [currentIndex].concat(this._shuffleIndices(rest));
+        this._queuePosition = currentIndex === -1 ? -1 : 0;
+      } else {
+        this._queueOrder = allIndices;
+        this._queuePosition = currentIndex;
+      }
+      
+      this._emitQueueChange();
+    }
+
+    /**
+     * Whether shuffled queue playback is enabled
+     * @returns {boolean}
+     */
+    getShuffle() {
+      return this._shuffle;
+    }
+
+    /**
+     * Set the queue repeat mode
+     * @param {UdioRepeatMode} mode - 'off', 'one' or 'all'
+     */
+    setRepeat(mode) {
+      if (['off', 'one', 'all'].indexOf(mode) === -1) {
+        throw new Error(`Invalid repeat mode: ${mode}`);
+      }
+      
+      this._repeatMode = mode;
+      this._emitQueueChange();
+    }
+
+    /**
+     * Get the queue repeat mode
+     * @returns {UdioRepeatMode}
+     */
+    getRepeat() {
+      return this._repeatMode;
+    }
+
+    // Private methods
+    _emit(event, detail = {}) {
+      const callbacks = this._eventListeners[event];
+      if (!callbacks) return;
+      
+      for (const callback of callbacks.slice()) {
+        try {
+          callback({ type: event, target: this, detail });
+        } catch (error) {
+          console.error(`Error in ${event} listener:`, error);
+        }
+      }
+    }
+
+    // Bring metadata, playback state and available actions in line with the player
+    _updateMediaSession() {
+      const mediaSession = this._mediaSession;
+      if (!mediaSession) return;
+      
+      const { session, handlers, options } = mediaSession;
+      const track = this._currentTrack;
+      
+      if (track !== mediaSession.track) {
+        mediaSession.track = track;
+        session.metadata = track && typeof MediaMetadata !== 'undefined'
+          ? new MediaMetadata({
+            title: track.title || '',
+            artist: track.artist || '',
+            album: options.album || '',
+            artwork: track.image ? [{ src: track.image }] : []
+          })
+          : null;
+      }
+      
+      session.playbackState = !track ? 'none' : (this.isPlaying() ? 'playing' : 'paused');
+      
+      // Only offer what can be done right now; skip buttons need somewhere in the queue to go
+      for (const action of Object.keys(handlers)) {
+        let enabled = !!track;
+        if (action === 'nexttrack') enabled = this.hasNext();
+        if (action === 'previoustrack') enabled = this.hasPrevious();
+        this._setMediaAction(session, action, enabled ? handlers[action] : null);
+      }
+      
+      this._updateMediaPosition();
+    }
+
+    _setMediaAction(session, action, handler) {
+      try {
+        session.setActionHandler(action, handler);
+      } catch (e) {
+        // Browsers throw for actions they don't support
+      }
+    }
+
+    _updateMediaPosition() {
+      const mediaSession = this._mediaSession;
+      if (!mediaSession || typeof mediaSession.session.setPositionState !== 'function') return;
+      
+      // NaN until metadata loads and Infinity for streams; neither is a valid position state
+      const duration = this.getDuration();
+      if (!this._currentTrack || !isFinite(duration) || duration <= 0) return;
+      
+      try {
+        mediaSession.session.setPositionState({
+          duration,
+          playbackRate: this.getPlaybackRate() || 1,
+          position: Math.max(0, Math.min(this.getCurrentTime(), duration))
+        });
+      } catch (e) {
+        // A rejected state (e.g. mid-seek) is corrected by the next timeupdate
+      }
+    }
+
+    _updatePlayState() {
+      const playing = this.isPlaying();
+      if (playing === this._playing) return;
+      
+      this._playing = playing;
+      this._updateCueTicker(playing);
+      this._emit('playstatechange', { playing, track: this._currentTrack });
+    }
+
+    _getCueKey(track) {
+      if (!track) return null;
+      return typeof track === 'string' ? track : (track.id || track.url);
+    }
+
+    // Poll for crossed cues while playing; timeupdate is too coarse and irregular for gameplay
+    _updateCueTicker(playing) {
+      if (playing) {
+        if (this._cueTicker === null) {
+          this._cueCursor = { track: this._currentTrack, position: this.getCurrentTime() };
+          this._cueTicker = this._clock.setInterval(() => this._checkCues(), 25);
+        }
+      } else if (this._cueTicker !== null) {
+        this._clock.clearInterval(this._cueTicker);
+        this._cueTicker = null;
+        
+        // Catch cues between the last check and where playback paused or ended
+        this._checkCues();
+      }
+    }
+
+    // Jumps don't cross the cues in between
+    _moveCueCursor() {
+      if (this._cueCursor) {
+        this._cueCursor.position = this.getCurrentTime();
+      }
+    }
+
+    _checkCues() {
+      const cursor = this._cueCursor;
+      const track = this._currentTrack;
+      const position = this.getCurrentTime();
+      
+      if (!cursor || cursor.track !== track) {
+        this._cueCursor = { track, position };
+        return;
+      }
+      
+      const from = cursor.position;
+      cursor.position = position;
+      
+      // Moving backwards without seek() means a loop wrapped around. Passes are counted here
+      // rather than by the loop, which only counts towards a repetitions limit.
+      const wrapped = position < from;
+      if (wrapped && this._loopOptions) {
+        this._loopPasses++;
+      }
+      
+      const cues = this._cueSets.get(this._getCueKey(track));
+      if (!cues || position === from) return;
+      
+      if (!wrapped) {
+        this._fireCues(cues, from, position);
+        return;
+      }
+      
+      if (this._loopOptions) {
+        this._fireCues(cues, from, this._loopOptions.endTime);
+        this._fireCues(cues, this._loopOptions.startTime, position);
+      } else if (this._audioElement && this._audioElement.loop) {
+        this._fireCues(cues, from, Infinity);
+        this._fireCues(cues, 0, position);
+      }
+    }
+
+    // Emit the cues in [from, to)
+    _fireCues(cues, from, to) {
+      const track = this._currentTrack;
+      
+      for (const cue of cues.slice()) {
+        // A listener may have changed track
+        if (this._currentTrack !== track) return;
+        
+        if (cue.time >= from && cue.time < to) {
+          this._emit('cue', { ...cue, track, loopCount: this._loopOptions ? this._loopPasses : 0 });
+        }
+      }
+    }
+
+    _resolveTrack(input) {
+      // If input is a string or array, search for matching track
+      if (typeof input === 'string' && input.startsWith('http')) {
+        return Promise.resolve({ url: input });
+      }
+      
+      if (typeof input === 'string' || Array.isArray(input)) {
+        return this.getTrack(input).then(track => {
+          if (!track) {
+            throw new Error('No matching track found');
+          }
+          return track;
+        });
+      }
+      
+      return Promise.resolve(input);
+    }
+
+    async _getPlaybackUrl(url) {
+      try {
+        return (await this.prefetcher.getLocalUrl(url)) || this.client.getAudioUrl(url);
+      } catch (error) {
+        console.warn('Local audio lookup failed:', error);
+        return this.client.getAudioUrl(url);
+      }
+    }
+
+    _createAudioElement(options) {
+      const element = this.backend.createElement();
+      
+      // Apply options
+      element.volume = this._getElementVolume(options.volume !== undefined ? options.volume : 1.0);
+      element.loop = options.loop === true;
+      element.autoplay = options.autoplay === true;
+      
+      if (options.playbackRate) {
+        element.playbackRate = options.playbackRate;
+      }
+      
+      return element;
+    }
+
+    _waitForCanPlay(element, track) {
+      return new Promise((resolve, reject) => {
+        element.addEventListener('canplaythrough', resolve, {once: true});
+        element.addEventListener('error', () => {
+          const mediaError = element.error;
+          
+          reject(new UdioAudioLoadError(
+            `Failed to load audio${mediaError && mediaError.message ? `: ${mediaError.message}` : ''}`,
+            {
+              track: typeof track === 'string' ? { url: track } : track,
+              url: element.src,
+              code: mediaError ? mediaError.code : undefined
+            }
+          ));
+        }, {once: true});
+        element.load();
+      });
+    }
+
+    _getAudioContext() {
+      if (this._audioContext) return this._audioContext;
+      
+      const context = this.backend.getAudioContext();
+      if (!context) return null;
+      
+      this._audioContext = context;
+      
+      // The player's volume, then its bus and the bus's ducking gain, feeding the mixer's master gain
+      this._faderNode = context.createGain();
+      this._faderNode.gain.value = this._getFaderLevel();
+      this._outputNode = context.createGain();
+      this._outputNode.gain.value = this.mixer._getBusGain(this._bus);
+      this._duckNode = context.createGain();
+      this._duckNode.gain.value = this.mixer.getDuckLevel(this._bus);
+      for (const effect of this._effects) {
+        effect.nodes = createEffectNodes(context, effect.type, effect.settings);
+      }
+      this._connectChain();
+      this._outputNode.connect(this._duckNode);
+      this._duckNode.connect(this.mixer._getMasterNode(context));
+      
+      // Volume and bus levels now come from the graph rather than the element volume
+      if (this._audioElement) {
+        this._audioElement.volume = 1;
+        this._connectToGraph(this._audioElement);
+      }
+      
+      return this._audioContext;
+    }
+
+    // Wire the player's nodes in order: fader, effects, analyser (once requested), bus gain
+    _connectChain() {
+      const chain = [{ input: this._faderNode, output: this._faderNode }];
+      for (const effect of this._effects) {
+        if (effect.nodes) chain.push(effect.nodes);
+      }
+      if (this._analyserNode) chain.push({ input: this._analyserNode, output: this._analyserNode });
+      chain.push({ input: this._outputNode, output: this._outputNode });
+      
+      for (let i = 0; i < chain.length - 1; i++) {
+        chain[i].output.disconnect();
+        chain[i].output.connect(chain[i + 1].input);
+      }
+    }
+
+    _getAnalyserArray(kind, length) {
+      // Reused between calls so per-frame polling doesn't allocate
+      if (!this._analyserData[kind] || this._analyserData[kind].length !== length) {
+        this._analyserData[kind] = new Uint8Array(length);
+      }
+      return this._analyserData[kind];
+    }
+
+    _getElementVolume(volume = this._getFaderLevel()) {
+      // With Web Audio, volume and bus levels are applied by gain nodes instead
+      return this._audioContext ? 1 : volume * this.mixer.getBusLevel(this._bus);
+    }
+
+    _applyMixLevel() {
+      // Only set up Web Audio once the mix actually changes something
+      const context = this._audioContext || (this.mixer.getBusLevel(this._bus) !== 1 ? this._getAudioContext() : null);
+      
+      if (context) {
+        this.mixer._setGain(this._outputNode.gain, this.mixer._getBusGain(this._bus));
+      } else if (this._audioElement) {
+        this._audioElement.volume = this._getElementVolume();
+      }
+    }
+
+    // The volume right now, following any fade in progress
+    _getFaderLevel() {
+      const fade = this._fade;
+      if (!fade) return this._volume;
+      
+      const x = Math.min(1, Math.max(0, (this._clock.now() - fade.start) / fade.duration));
+      return fadeValue(fade.from, fade.to, x, fade.curve);
+    }
+
+    // Set the volume at once, cancelling any fade
+    _setVolumeNow(level) {
+      this._cancelFade();
+      this._volume = level;
+      
+      if (this._faderNode) {
+        const param = this._faderNode.gain;
+        param.cancelScheduledValues(this._audioContext.currentTime);
+        param.setValueAtTime(this._volume, this._audioContext.currentTime);
+      }
+      if (this._audioElement) {
+        this._audioElement.volume = this._getElementVolume();
+      }
+    }
+
+    _cancelFade() {
+      const fade = this._fade;
+      if (!fade) return;
+      
+      this._volume = this._getFaderLevel();
+      this._fade = null;
+      this._clock.clearTimeout(fade.timer);
+      if (fade.ticker !== null) {
+        this._clock.clearInterval(fade.ticker);
+      }
+      
+      // Hold the level the fade had reached
+      if (this._faderNode) {
+        const param = this._faderNode.gain;
+        const now = this._audioContext.currentTime;
+        param.cancelScheduledValues(now);
+        param.setValueAtTime(this._volume, now);
+      }
+      
+      fade.resolve(false);
+    }
+
+    // Fade to silence, then pause or stop (unless something else took over meanwhile)
+    _fadeOutThen(ms, action) {
+      const fade = this._fade;
+      const restore = fade ? (fade.restore !== undefined ? fade.restore : fade.to) : this._volume;
+      const element = this._audioElement;
+      
+      const fading = this.fadeTo(0, ms);
+      this._fade.restore = restore;
+      
+      return fading.then(completed => {
+        if (!completed || this._audioElement !== element) return;
+        
+        action();
+        
+        // Put the level back so resume() plays at the volume from before the fade
+        if (this._audioElement) {
+          this._setVolumeNow(restore);
+        }
+      });
+    }
+
+    _connectToGraph(element) {
+      const existing = this._graphNodes.get(element);
+      if (existing) return existing.gain;
+      
+      const context = this._getAudioContext();
+      if (!context) return null;
+      
+      if (context.state === 'suspended') {
+        context.resume().catch(() => {});
+      }
+      
+      const source = this.backend.createSourceNode(element, context);
+      const gain = context.createGain();
+      source.connect(gain);
+      gain.connect(this._faderNode);
+      
+      this._graphNodes.set(element, { source, gain });
+      return gain;
+    }
+
+    _disconnectFromGraph(element) {
+      const nodes = this._graphNodes.get(element);
+      if (!nodes) return;
+      
+      nodes.source.disconnect();
+      nodes.gain.disconnect();
+      this._graphNodes.delete(element);
+    }
+
+    _scheduleFade(param, from, to, startTime, duration, curve) {
+      param.cancelScheduledValues(startTime);
+      
+      if (curve === 'linear') {
+        param.setValueAtTime(from, startTime);
+        param.linearRampToValueAtTime(to, startTime + duration);
+        return;
+      }
+      
+      const steps = 64;
+      const values = new Float32Array(steps);
+      for (let i = 0; i < steps; i++) {
+        values[i] = fadeValue(from, to, i / (steps - 1), curve);
+      }
+      param.setValueCurveAtTime(values, startTime, duration);
+    }
+
+    _releaseFadingElement(element) {
+      const index = this._fadingElements.findIndex(entry => entry.element === element);
+      if (index === -1) return;
+      
+      const [entry] = this._fadingElements.splice(index, 1);
+      this._clock.clearTimeout(entry.timer);
+      
+      element.pause();
+      element.src = '';
+      this._disconnectFromGraph(element);
+      entry.resolve();
+    }
+
+    _releaseFadingElements() {
+      for (const { element } of this._fadingElements.slice()) {
+        this._releaseFadingElement(element);
+      }
+    }
+
+    _emitQueueChange() {
+      this._emit('queuechange', {
+        queue: this.getQueue(),
+        index: this.getQueueIndex(),
+        shuffle: this._shuffle,
+        repeat: this._repeatMode
+      });
+    }
+
+    _shuffleIndices(indices) {
+      const result = indices.slice();
+      for (let i = result.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [result[i], result[j]] = [result[j], result[i]];
+      }
+      return result;
+    }
+
+    _getAdjacentPosition(step) {
+      const length = this._queueOrder.length;
+      if (length === 0) return -1;
+      
+      // Nothing played from the queue yet: next() starts at the beginning
+      if (this._queuePosition === -1) {
+        return step > 0 && step <= length ? step - 1 : -1;
+      }
+      
+      const position = this._queuePosition + step;
+      if (position >= 0 && position < length) return position;
+      
+      if (this._repeatMode === 'all') {
+        return (position + length) % length;
+      }
+      
+      return -1;
+    }
+
+    async _playQueuePosition(position) {
+      this._queuePosition = position;
+      this._queueTrack = this._queue[this._queueOrder[position]];
+      this._emitQueueChange();
+      
+      return this.play(this._queueTrack, this._queuePlayOptions);
+    }
+
+    _onTrackEnded() {
+      // Only advance when the track that ended was started from the queue
+      if (!this._autoAdvance || !this._queueTrack || this._currentTrack !== this._queueTrack) return;
+      
+      if (this._repeatMode === 'one') {
+        this._checkCues();
+        this.seek(0);
+        this.resume();
+        return;
+      }
+      
+      if (this.hasNext()) {
+        this.next().catch(error => {
+          console.error('Error advancing queue:', error);
+        });
+      } else {
+        this._emit('queueend', { queue: this.getQueue() });
+      }
+    }
+
+    _setupEventListeners() {
+      if (!this._audioElement) return;
+      
+      this._audioElement.addEventListener('ended', this._handleEnded);
+      for (const event of ['play', 'pause', 'ended']) {
+        this._audioElement.addEventListener(event, this._handlePlayState);
+      }
+      
+      // Forward the new element's events to stored listeners
+      for (const [event, callbacks] of Object.entries(this._eventListeners)) {
+        if (callbacks.length > 0) {
+          this._audioElement.addEventListener(event, this._forwardEvent);
+        }
+      }
+    }
+
+    _removeEventListeners() {
+      if (!this._audioElement) return;
+      
+      this._audioElement.removeEventListener('ended', this._handleEnded);
+      for (const event of ['play', 'pause', 'ended']) {
+        this._audioElement.removeEventListener(event, this._handlePlayState);
+      }
+      
+      // Remove all event listeners
+      for (const event of Object.keys(this._eventListeners)) {
+        this._audioElement.removeEventListener(event, this._forwardEvent);
+      }
+      this._internalEvents.delete(this._audioElement);
+    }
+
+    _forwardElementEvent(event) {
+      // Skip the pause/play events of the player's own element switches (e.g. buffer loops)
+      const internal = this._internalEvents.get(event.target);
+      if (internal && internal[event.type] > 0) {
+        internal[event.type]--;
+        return;
+      }
+      
+      const callbacks = this._eventListeners[event.type];
+      if (!callbacks) return;
+      
+      for (const callback of callbacks.slice()) {
+        try {
+          callback(event);
+        } catch (error) {
+          console.error(`Error in ${event.type} listener:`, error);
+        }
+      }
+    }
+
+    // Tell listeners about playback the element itself doesn't report (it's paused under a buffer loop),
+    // with the shape of the element's own events
+    _dispatchElementEvent(type) {
+      const element = this._audioElement;
+      this._forwardElementEvent({ type, target: element, currentTarget: element, detail: { currentTime: this.getCurrentTime() } });
+    }
+
+    _setInternalEvent(element, type, delta) {
+      const internal = this._internalEvents.get(element) || { play: 0, pause: 0 };
+      internal[type] = Math.max(0, internal[type] + delta);
+      this._internalEvents.set(element, internal);
+    }
+
+    // Pause the element without listeners seeing it, while playback carries on elsewhere
+    _pauseQuietly(element) {
+      if (element.paused) return;
+      
+      this._setInternalEvent(element, 'pause', 1);
+      element.pause();
+    }
+
+    // Play the element without listeners seeing it, when it takes over playback that never stopped
+    _playQuietly(element) {
+      if (!element.paused) return Promise.resolve();
+      
+      this._setInternalEvent(element, 'play', 1);
+      return element.play().catch(error => {
+        // A refused play() fires no event
+        this._setInternalEvent(element, 'play', -1);
+        throw error;
+      });
+    }
+
+    _clearLoopTimer() {
+      // Invalidate any buffer loop that is still decoding
+      this._loopToken++;
+      this._stopBufferLoop(true);
+      
+      if (this._loopTimer) {
+        this._clock.clearInterval(this._loopTimer);
+        this._loopTimer = null;
+      }
+    }
+
+    _onLoopSectionEnd() {
+      this._emit('loopend', { loopCount: this._loopCount });
+      
+      if (this._arrangement && this._arrangement.exiting) {
+        this._startOutro();
+      }
+    }
+
+    _startArrangementSegment(segment) {
+      const state = this._arrangement;
+      state.segment = segment;
+      
+      this._emit('segmentstart', {
+        segment,
+        startTime: state[segment].startTime,
+        endTime: state[segment].endTime
+      });
     }
 
-    /**
-     * Pause playback of current track
-     */
-    pause() {
-      if (this._audioElement) {
-        this._audioElement.pause();
-      }
+    _armArrangementLoop() {
+      const { loop, mode } = this._arrangement;
+      
+      return this.loopSection({
+        startTime: loop.startTime,
+        endTime: loop.endTime,
+        mode,
+        keepPosition: true
+      });
     }
 
-    /**
-     * Resume playback of current track
-     */
-    resume() {
-      if (this._audioElement) {
-        this._audioElement.play().catch(error => {
-          console.error('Error resuming playback:', error);
-        });
+    _enterArrangementLoop() {
+      const ended = this._audioElement.ended;
+      
+      this.seek(this._arrangement.loop.startTime);
+      this._startArrangementSegment('loop');
+      
+      this._armArrangementLoop().catch(error => {
+        console.error('Error arming the arrangement loop:', error);
+      });
+      
+      // An intro that ran to the end of the track stopped playback
+      if (ended) {
+        this.resume();
       }
     }
 
-    /**
-     * Stop playback and unload current track
-     */
-    stop() {
-      this._clearLoopTimer();
+    _startOutro() {
+      const state = this._arrangement;
       
-      if (this._audioElement) {
-        this._audioElement.pause();
-        this._audioElement.src = '';
-        this._removeEventListeners();
-        this._audioElement = null;
+      if (!state.outro) {
+        this._finishArrangement();
+        return;
       }
       
-      this._currentTrack = null;
+      // Playback continues from the loop end, so only seek when the outro starts elsewhere
+      if (Math.abs(this.getCurrentTime() - state.outro.startTime) > 0.05) {
+        this.seek(state.outro.startTime);
+      }
+      
+      this._startArrangementSegment('outro');
     }
 
-    /**
-     * Set volume level
-     * @param {number} level - Volume level between 0.0 and 1.0
-     */
-    setVolume(level) {
-      if (this._audioElement && level >= 0 && level <= 1) {
-        this._audioElement.volume = level;
+    _checkArrangement() {
+      const state = this._arrangement;
+      if (!state || !this._audioElement) return;
+      
+      const time = this.getCurrentTime();
+      
+      if (state.segment === 'intro') {
+        if (state.introLeadsIn) {
+          if (time >= state.loop.startTime && time < state.loop.endTime) {
+            this._startArrangementSegment('loop');
+          }
+        } else if (time >= state.intro.endTime || this._audioElement.ended) {
+          this._enterArrangementLoop();
+        }
+      } else if (state.segment === 'outro') {
+        const reachedEnd = state.outro.endTime !== undefined && time >= state.outro.endTime;
+        
+        if (reachedEnd || this._audioElement.ended) {
+          this._finishArrangement();
+        }
       }
     }
 
-    /**
-     * Get current volume level
-     * @returns {number} Current volume (0.0 to 1.0)
-     */
-    getVolume() {
-      return this._audioElement ? this._audioElement.volume : 0;
+    _finishArrangement() {
+      this._clearArrangement();
+      this.pause();
+      this._emit('arrangementend', { track: this._currentTrack });
     }
 
-    /**
-     * Set playback rate
-     * @param {number} rate - Playback rate (0.5 to 4.0)
-     */
-    setPlaybackRate(rate) {
-      if (this._audioElement && rate >= 0.5 && rate <= 4.0) {
-        this._audioElement.playbackRate = rate;
+    _clearArrangement() {
+      if (!this._arrangement) return;
+      
+      this._clock.clearInterval(this._arrangement.timer);
+      this._arrangement = null;
+    }
+
+    async _loopQuantizedSection(options) {
+      const track = this._currentTrack;
+      
+      // A sample-accurate loop needs the decoded audio afterwards, so have analysis share that decode
+      if ((options.mode || this.loopMode) === 'webaudio' && this._getAudioContext()) {
+        this._decodeTrack(track).catch(() => {});
+      }
+      
+      const analysis = await this.analyzeTrack(track);
+      
+      // The track changed while analyzing
+      if (this._currentTrack !== track) return;
+      
+      const resolved = { ...options };
+      delete resolved.bars;
+      
+      if (options.bars !== undefined) {
+        // Loop whole bars starting at the bar that is playing now
+        const time = this.getCurrentTime();
+        const barLength = analysis.beatInterval * analysis.beatsPerBar;
+        const firstBar = analysis.bars.length > 0 ? analysis.bars[0] : 0;
+        const currentBar = Math.max(0, Math.floor((time - firstBar) / barLength + 1e-6));
+        
+        resolved.startTime = this._getGridTime(analysis, { bars: currentBar });
+        resolved.endTime = this._getGridTime(analysis, { bars: currentBar + options.bars });
+      } else {
+        if (typeof options.startTime === 'object') {
+          resolved.startTime = this._getGridTime(analysis, options.startTime);
+        }
+        if (typeof options.endTime === 'object') {
+          resolved.endTime = this._getGridTime(analysis, options.endTime);
+        }
       }
+      
+      return this.loopSection(resolved);
     }
 
-    /**
-     * Get current playback rate
-     * @returns {number} Current playback rate
-     */
-    getPlaybackRate() {
-      return this._audioElement ? this._audioElement.playbackRate : 1.0;
+    _getGridTime(analysis, position) {
+      const grid = position.bars !== undefined ? analysis.bars : analysis.beats;
+      const index = position.bars !== undefined ? position.bars : (position.beats || 0);
+      const step = analysis.beatInterval * (position.bars !== undefined ? analysis.beatsPerBar : 1);
+      
+      if (index >= 0 && index < grid.length) {
+        return grid[index];
+      }
+      
+      // Extrapolate past the detected grid at the estimated tempo
+      const first = grid.length > 0 ? grid[0] : 0;
+      return Math.max(0, first + index * step);
+    }
+
+    _isOutsideLoop(position) {
+      const { startTime, endTime, keepPosition } = this._loopOptions;
+      
+      if (position > endTime) return true;
+      return position < startTime && !keepPosition;
     }
 
     /**
-     * Set current playback position
-     * @param {number} seconds - Position in seconds
+     * Decode a track, sharing a decode already in progress
+     * @param {UdioTrack|string} track - Track or URL
+     * @param {Object} [options]
+     * @param {boolean} [options.keep=true] - Keep the PCM afterwards (for loops). Only the last
+     *   few kept tracks stay decoded; one-off uses such as peaks pass false.
+     * @returns {Promise<AudioBuffer>} The decoded audio
      */
-    seek(seconds) {
-      if (this._audioElement) {
-        this._audioElement.currentTime = Math.max(0, Math.min(seconds, this._audioElement.duration));
+    async _decodeTrack(track, options = {}) {
+      const url = typeof track === 'string' ? track : track.url;
+      const keep = options.keep !== false;
+      let entry = this._decodedBuffers.get(url);
+      
+      if (!entry) {
+        const context = this._getAudioContext();
+        if (!context) {
+          throw new Error('Web Audio is not available');
+        }
+        
+        entry = { pending: null, keep, playbackUrl: null };
+        
+        const pending = this._getPlaybackUrl(url)
+          .then(playbackUrl => {
+            entry.playbackUrl = playbackUrl;
+            
+            // A backend that decodes (WebAudioBackend) already holds the files its elements play
+            if (typeof this.backend.decode === 'function') {
+              return this.backend.decode(playbackUrl);
+            }
+            
+            return fetch(playbackUrl)
+              .then(response => {
+                if (!response.ok) {
+                  throw new Error(`Audio request failed with status ${response.status}`);
+                }
+                return response.arrayBuffer();
+              })
+              .then(data => new Promise((resolve, reject) => {
+                // Callback form for older Safari, which doesn't return a promise
+                context.decodeAudioData(data, resolve, reject);
+              }));
+          })
+          .catch(error => {
+            if (error instanceof UdioAudioLoadError) throw error;
+            throw new UdioAudioLoadError(`Failed to decode audio: ${error && error.message}`, {
+              track: typeof track === 'string' ? { url } : track,
+              url,
+              cause: error
+            });
+          });
+        
+        entry.pending = pending;
+        this._decodedBuffers.set(url, entry);
+        
+        // Failed decodes are dropped so a later attempt can retry; so are buffers nobody keeps
+        const settled = pending.then(() => !entry.keep, () => true);
+        settled.then(release => {
+          if (release && this._decodedBuffers.get(url) === entry) {
+            this._releaseDecoded(url);
+          }
+        });
+      } else {
+        // Re-insert so Map order tracks recency
+        entry.keep = entry.keep || keep;
+        this._decodedBuffers.delete(url);
+        this._decodedBuffers.set(url, entry);
+      }
+      
+      // Decoded audio is large (about 10 MB per stereo minute), so only a few tracks stay decoded
+      let kept = 0;
+      for (const [key, value] of Array.from(this._decodedBuffers).reverse()) {
+        if (value.keep && ++kept > MAX_DECODED_TRACKS) {
+          this._releaseDecoded(key);
+        }
       }
+      
+      return entry.pending;
     }
 
     /**
-     * Get current playback position
-     * @returns {number} Current position in seconds
+     * Release decoded audio kept for sample-accurate loops. Loops that are playing keep working;
+     * the next loop on a released track decodes it again.
      */
-    getCurrentTime() {
-      return this._audioElement ? this._audioElement.currentTime : 0;
+    clearDecodedAudio() {
+      for (const url of Array.from(this._decodedBuffers.keys())) {
+        this._releaseDecoded(url);
+      }
     }
 
-    /**
-     * Get track duration
-     * @returns {number} Duration in seconds
-     */
-    getDuration() {
-      return this._audioElement ? this._audioElement.duration : 0;
+    _releaseDecoded(url) {
+      const entry = this._decodedBuffers.get(url);
+      this._decodedBuffers.delete(url);
+      
+      // The buffer lives in the backend's cache when the backend decoded it
+      if (entry && entry.playbackUrl && typeof this.backend.clearBuffers === 'function') {
+        this.backend.clearBuffers(entry.playbackUrl);
+      }
     }
 
-    /**
-     * Set loop mode
-     * @param {boolean} enabled - Whether to enable looping
-     */
-    setLoop(enabled) {
-      if (this._audioElement) {
-        this._clearLoopTimer();
-        this._audioElement.loop = enabled;
+    async _setupBufferLoop() {
+      const token = this._loopToken;
+      const element = this._audioElement;
+      
+      let buffer;
+      try {
+        buffer = await this._decodeTrack(this._currentTrack);
+      } catch (error) {
+        console.warn('Sample-accurate looping unavailable, falling back to timer:', error);
+        
+        if (token === this._loopToken && this._audioElement === element) {
+          this._setupLoopHandler();
+          if (this._isOutsideLoop(element.currentTime)) {
+            this.seek(this._loopOptions.startTime);
+          }
+        }
+        return;
+      }
+      
+      // The loop was cancelled or the track changed while decoding
+      if (token !== this._loopToken || this._audioElement !== element || !this._loopOptions) return;
+      
+      const wasPlaying = !element.paused;
+      
+      let position = element.currentTime;
+      if (this._isOutsideLoop(position)) {
+        position = this._loopOptions.startTime;
+      }
+      
+      const gain = this._audioContext.createGain();
+      gain.gain.value = this._audioElement.volume;
+      gain.connect(this._faderNode);
+      
+      this._bufferLoop = { buffer, gain, source: null, position, anchorTime: 0, anchorPosition: 0 };
+      if (position !== element.currentTime) {
+        this._moveCueCursor();
+      }
+      
+      if (wasPlaying) {
+        this._startBufferLoop(position);
       }
+      
+      // The decoded buffer takes over from the element for the duration of the loop. It starts
+      // first, so the player never reports a stop, and listeners don't see the element's pause
+      this._pauseQuietly(element);
     }
 
-    /**
-     * Loop a specific section of the track
-     * @param {UdioLoopOptions} options - Loop options
-     */
-    loopSection(options) {
-      if (!this._audioElement) return;
+    _startBufferLoop(position) {
+      const loop = this._bufferLoop;
+      const context = this._audioContext;
+      const { startTime, endTime, repetitions } = this._loopOptions;
       
-      this._clearLoopTimer();
+      // The new source anchors on the count the old one reached
+      this._syncBufferLoopCount();
+      this._stopBufferSource();
       
-      // Disable standard loop
-      this._audioElement.loop = false;
+      if (position >= endTime) {
+        position = startTime;
+      }
       
-      // Store loop options
-      this._loopOptions = {
-        startTime: options.startTime,
-        endTime: options.endTime,
-        repetitions: options.repetitions
-      };
+      const rate = this._audioElement.playbackRate;
+      const source = context.createBufferSource();
+      source.buffer = loop.buffer;
+      source.loop = true;
+      source.loopStart = startTime;
+      source.loopEnd = endTime;
+      source.playbackRate.value = rate;
+      source.connect(loop.gain);
       
-      this._loopCount = 0;
+      const now = context.currentTime;
+      source.start(now, position);
       
-      // Start loop
-      this._setupLoopHandler();
+      loop.source = source;
+      loop.anchorTime = now;
+      loop.anchorPosition = position;
+      loop.loopCountAtAnchor = this._loopCount;
       
-      // Jump to loop start point if we're not already in the loop
-      if (this._audioElement.currentTime < options.startTime || this._audioElement.currentTime > options.endTime) {
-        this._audioElement.currentTime = options.startTime;
+      if (repetitions !== undefined) {
+        this._scheduleBufferLoopEnd(position);
       }
+      
+      this._startBufferLoopTicker();
+      this._updatePlayState();
     }
 
-    /**
-     * Cancel section looping
-     */
-    cancelLoopSection() {
-      this._clearLoopTimer();
-      this._loopOptions = null;
+    _scheduleBufferLoopEnd(position) {
+      const loop = this._bufferLoop;
+      const source = loop.source;
+      const { startTime, endTime, repetitions } = this._loopOptions;
+      
+      // Stop exactly at the end of the final repetition, then hand back to the element
+      const remaining = Math.max(1, repetitions - this._loopCount);
+      const sectionLength = endTime - startTime;
+      const playTime = (endTime - position) + (remaining - 1) * sectionLength;
+      
+      source.stop(this._audioContext.currentTime + playTime / source.playbackRate.value);
+      source.onended = () => {
+        if (this._bufferLoop === loop && loop.source === source) {
+          this._loopCount = repetitions;
+          this._loopOptions = null;
+          this._stopBufferLoop(true, endTime);
+          this._onLoopSectionEnd();
+        }
+      };
     }
 
-    /**
-     * Add an event listener
-     * @param {string} event - Event name (play, pause, ended, timeupdate, etc)
-     * @param {Function} callback - Callback function
-     */
-    addEventListener(event, callback) {
-      if (!this._eventListeners[event]) {
-        this._eventListeners[event] = [];
+    _setLoopRepetitions(repetitions) {
+      if (!this._loopOptions) return;
+      
+      // A playing buffer loop counts from here on (it may not have been counting) and needs its
+      // end rescheduled; the timer picks up the change by itself
+      const playingBuffer = this._bufferLoop && this._bufferLoop.source;
+      if (playingBuffer) {
+        this._reanchorBufferLoop();
       }
-      this._eventListeners[event].push(callback);
       
-      if (this._audioElement) {
-        this._audioElement.addEventListener(event, callback);
+      this._loopOptions.repetitions = repetitions;
+      
+      if (playingBuffer) {
+        this._scheduleBufferLoopEnd(this._getBufferLoopPosition());
       }
     }
 
+    _getBufferLoopPosition() {
+      return this._measureBufferLoop().position;
+    }
+
     /**
-     * Remove an event listener
-     * @param {string} event - Event name
-     * @param {Function} callback - Callback function to remove
+     * Where a buffer loop is, and how many times it has wrapped, from the audio clock
+     * @private
      */
-    removeEventListener(event, callback) {
-      if (this._eventListeners[event]) {
-        this._eventListeners[event] = this._eventListeners[event].filter(cb => cb !== callback);
-      }
+    _measureBufferLoop() {
+      const loop = this._bufferLoop;
+      if (!loop.source) return { position: loop.position, loopCount: this._loopCount };
       
-      if (this._audioElement) {
-        this._audioElement.removeEventListener(event, callback);
+      const { startTime, endTime } = this._loopOptions;
+      const sectionLength = endTime - startTime;
+      const elapsed = (this._audioContext.currentTime - loop.anchorTime) * loop.source.playbackRate.value;
+      const raw = loop.anchorPosition + elapsed;
+      
+      if (raw < endTime) {
+        return { position: raw, loopCount: loop.loopCountAtAnchor };
       }
+      
+      const wraps = Math.floor((raw - endTime) / sectionLength) + 1;
+      return {
+        position: startTime + (raw - endTime) % sectionLength,
+        loopCount: loop.loopCountAtAnchor + wraps
+      };
     }
 
-    /**
-     * Get current track information
-     * @returns {UdioTrack|null} Current track or null if none loaded
-     */
-    getCurrentTrack() {
-      return this._currentTrack;
+    _syncBufferLoopCount() {
+      // A buffer loop wraps on the audio thread, so its count is brought up to date where it's
+      // read. Like the timer, it only counts towards a repetitions limit.
+      if (this._bufferLoop && this._bufferLoop.source && this._loopOptions.repetitions !== undefined) {
+        this._loopCount = this._measureBufferLoop().loopCount;
+      }
     }
 
-    /**
-     * Search for tracks by genre
-     * @param {string} genre - Genre to search for
-     * @param {UdioSearchOptions} [options] - Additional search options
-     * @returns {Promise<UdioTrack[]>} Array of matching tracks
-     */
-    async searchByGenre(genre, options = {}) {
-      return this.search({
-        ...options,
-        tags: [genre]
-      });
+    _reanchorBufferLoop() {
+      const loop = this._bufferLoop;
+      
+      this._syncBufferLoopCount();
+      loop.anchorPosition = this._getBufferLoopPosition();
+      loop.anchorTime = this._audioContext.currentTime;
+      loop.loopCountAtAnchor = this._loopCount;
     }
 
-    /**
-     * Play a random track that matches the specified genre
-     * @param {string} genre - Genre to search for
-     * @param {UdioAudioOptions} [options] - Audio options
-     * @returns {Promise<HTMLAudioElement>} The audio element
-     */
-    async playRandomByGenre(genre, options = {}) {
-      const tracks = await this.searchByGenre(genre, { maxResults: 10 });
+    _pauseBufferLoop() {
+      const loop = this._bufferLoop;
+      if (!loop.source) return;
       
-      if (!tracks || tracks.length === 0) {
-        throw new Error(`No tracks found for genre: ${genre}`);
-      }
-      
-      const randomIndex = Math.floor(Math.random() * tracks.length);
-      return this.play(tracks[randomIndex], options);
+      this._syncBufferLoopCount();
+      loop.position = this._getBufferLoopPosition();
+      this._stopBufferSource();
+      this._updatePlayState();
     }
 
-    // Private methods
-    _setupEventListeners() {
-      if (!this._audioElement) return;
+    _stopBufferSource() {
+      const loop = this._bufferLoop;
       
-      // Add stored event listeners to new audio element
-      for (const [event, callbacks] of Object.entries(this._eventListeners)) {
-        for (const callback of callbacks) {
-          this._audioElement.addEventListener(event, callback);
+      if (loop.source) {
+        loop.source.onended = null;
+        try {
+          loop.source.stop();
+        } catch (e) {
+          // Already stopped
         }
+        loop.source.disconnect();
+        loop.source = null;
+      }
+      
+      if (loop.ticker) {
+        this._clock.clearInterval(loop.ticker);
+        loop.ticker = null;
       }
     }
 
-    _removeEventListeners() {
-      if (!this._audioElement) return;
+    _startBufferLoopTicker() {
+      const loop = this._bufferLoop;
       
-      // Remove all event listeners
-      for (const [event, callbacks] of Object.entries(this._eventListeners)) {
-        for (const callback of callbacks) {
-          this._audioElement.removeEventListener(event, callback);
-        }
-      }
+      // The element is paused while the buffer plays, so keep timeupdate listeners informed
+      loop.ticker = this._clock.setInterval(() => this._dispatchElementEvent('timeupdate'), 250);
     }
 
-    _clearLoopTimer() {
-      if (this._loopTimer) {
-        clearInterval(this._loopTimer);
-        this._loopTimer = null;
+    _stopBufferLoop(handBack, handBackPosition) {
+      const loop = this._bufferLoop;
+      if (!loop) return;
+      
+      const wasPlaying = !!loop.source;
+      const position = handBackPosition !== undefined ? handBackPosition : this.getCurrentTime();
+      
+      this._stopBufferSource();
+      loop.gain.disconnect();
+      this._bufferLoop = null;
+      
+      // Continue on the audio element from where the buffer left off
+      if (handBack && this._audioElement) {
+        this._audioElement.currentTime = position;
+        
+        if (wasPlaying) {
+          this._playQuietly(this._audioElement).catch(error => {
+            console.error('Error resuming playback:', error);
+          });
+        }
       }
+      
+      this._updatePlayState();
     }
 
     _setupLoopHandler() {
@@ -906,7 +6530,7 @@
       this._clearLoopTimer();
       
       // Check every 50ms if we need to loop
-      this._loopTimer = setInterval(() => {
+      this._loopTimer = this._clock.setInterval(() => {
         if (!this._audioElement || !this._loopOptions) return;
         
         const { startTime, endTime, repetitions } = this._loopOptions;
@@ -921,6 +6545,7 @@
               // Cancel looping and let playback continue
               this._clearLoopTimer();
               this._loopOptions = null;
+              this._onLoopSectionEnd();
               return;
             }
           }
@@ -932,6 +6557,47 @@
     }
   }
 
+  // Search settings moved to UdioClient; they stay readable and writable on the player
+  // (e.g. player.pageSize = 50), forwarding to its client
+  for (const name of [
+    'apiBaseUrl', 'searchEndpoint', 'pageSize', 'maxRetries', 'corsMode', 'proxyUrl',
+    'proxyManager', 'jsonpHandler', 'cache', 'transport', 'headers', 'requestTimeout',
+    'cancelPreviousSearch', 'fallbackTracks'
+  ]) {
+    Object.defineProperty(UdioPlayer.prototype, name, {
+      get() {
+        return this.client[name];
+      },
+      set(value) {
+        this.client[name] = value;
+      },
+      configurable: true
+    });
+  }
+
+  UdioPlayer.UdioError = UdioError;
+  UdioPlayer.UdioNetworkError = UdioNetworkError;
+  UdioPlayer.UdioProxyExhaustedError = UdioProxyExhaustedError;
+  UdioPlayer.UdioResponseFormatError = UdioResponseFormatError;
+  UdioPlayer.UdioAudioLoadError = UdioAudioLoadError;
+  UdioPlayer.UdioClient = UdioClient;
+  UdioPlayer.HtmlAudioBackend = HtmlAudioBackend;
+  UdioPlayer.WebAudioBackend = WebAudioBackend;
+  UdioPlayer.NullAudioBackend = NullAudioBackend;
+  UdioPlayer.VirtualClock = VirtualClock;
+  UdioPlayer.UdioMixer = UdioMixer;
+  UdioPlayer.MusicDirector = MusicDirector;
+  UdioPlayer.CorsProxyManager = CorsProxyManager;
+  UdioPlayer.SearchCache = SearchCache;
+  UdioPlayer.AudioPrefetcher = AudioPrefetcher;
+  UdioPlayer.FetchTransport = FetchTransport;
+  UdioPlayer.WorkerTransport = WorkerTransport;
+  UdioPlayer.JsonpTransport = JsonpTransport;
+  UdioPlayer.MockTransport = MockTransport;
+  UdioPlayer.MemoryCacheStorage = MemoryCacheStorage;
+  UdioPlayer.LocalStorageCacheStorage = LocalStorageCacheStorage;
+  UdioPlayer.IndexedDBCacheStorage = IndexedDBCacheStorage;
+  
   // Return the enhanced UdioPlayer
   return UdioPlayer;
 });
\ No newline at end of file
@@ -0,0 +1,333 @@
+/**
+ * udio-proxy-server.js
+ * A small self-hostable CORS proxy for UdioPlayer (Node.js only).
+ * Forwards only Udio's song search endpoint and audio files, adds CORS headers,
+ * caches search responses and rate-limits clients.
+ * @version 1.1.0
+ * @license MIT
+ *
+ * Usage:
+ *   const { createUdioProxyServer } = require('./udio-proxy-server');
+ *   createUdioProxyServer({ allowOrigin: 'https://mygame.example' }).listen(8787);
+ *
+ *   // In the browser
+ *   new UdioPlayer({ corsMode: 'self-hosted', proxyUrl: 'https://proxy.mygame.example' });
+ */
+
+'use strict';
+
+const http = require('http');
+const https = require('https');
+const { pipeline } = require('stream');
+
+/**
+ * @typedef {Object} UdioProxyServerOptions
+ * @property {string} [upstream='https://www.udio.com'] - Udio origin that search requests are forwarded to
+ * @property {string[]} [audioPrefixes] - URL prefixes audio may be fetched from (defaults to Udio's
+ *   storage buckets and the upstream origin)
+ * @property {string[]} [audioHosts] - Additional hosts from which any URL may be fetched as audio
+ * @property {string} [allowOrigin='*'] - Value for Access-Control-Allow-Origin
+ * @property {number} [cacheTtl=300000] - Lifetime of cached search responses in milliseconds (0 disables caching)
+ * @property {number} [cacheMaxEntries=200] - Maximum number of cached search responses
+ * @property {Object} [rateLimit] - Per-client rate limit, or false to disable
+ * @property {number} [rateLimit.windowMs=60000] - Length of the rate limit window
+ * @property {number} [rateLimit.max=60] - Requests allowed per client per window
+ * @property {number} [maxBodySize=65536] - Largest accepted search request body in bytes
+ * @property {boolean} [trustProxy=false] - Use X-Forwarded-For to identify clients (behind a load balancer)
+ */
+
+const SEARCH_PATH = '/api/songs/search';
+const AUDIO_PATH = '/audio';
+const UDIO_STORAGE_PREFIX = 'https://storage.googleapis.com/udio-artifacts-';
+
+/**
+ * Create a request handler, usable with http.createServer() or as Express/Connect middleware
+ * @param {UdioProxyServerOptions} [options] - Proxy options
+ * @returns {function(http.IncomingMessage, http.ServerResponse): void} Request handler
+ */
+function createUdioProxyHandler(options = {}) {
+  const upstream = new URL(options.upstream || 'https://www.udio.com');
+  // Only Udio's own buckets, not the whole storage host, or any public bucket could be proxied
+  const audioPrefixes = options.audioPrefixes || [UDIO_STORAGE_PREFIX, `${upstream.origin}/`];
+  const audioHosts = options.audioHosts || [];
+  const allowOrigin = options.allowOrigin || '*';
+  const cacheTtl = options.cacheTtl !== undefined ? options.cacheTtl : 5 * 60 * 1000;
+  const cacheMaxEntries = options.cacheMaxEntries || 200;
+  const maxBodySize = options.maxBodySize || 64 * 1024;
+  const rateLimit = options.rateLimit === false ? null : {
+    windowMs: 60 * 1000,
+    max: 60,
+    ...(options.rateLimit || {})
+  };
+
+  const cache = new Map(); // body -> { expiresAt, status, contentType, body }
+  const clients = new Map(); // client id -> { windowStart, count }
+
+  function isAllowedAudioUrl(url) {
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') return false;
+    if (audioHosts.indexOf(url.hostname) !== -1) return true;
+
+    // url.href is normalized, so '..' segments can't climb out of an allowed prefix
+    return audioPrefixes.some(prefix => url.href.startsWith(prefix));
+  }
+
+  function setCorsHeaders(res) {
+    res.setHeader('Access-Control-Allow-Origin', allowOrigin);
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Range');
+    res.setHeader('Access-Control-Expose-Headers', 'Content-Length, Content-Range, Accept-Ranges');
+    if (allowOrigin !== '*') {
+      res.setHeader('Vary', 'Origin');
+    }
+  }
+
+  function sendError(res, status, message) {
+    res.statusCode = status;
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify({ error: message }));
+  }
+
+  function getClientId(req) {
+    if (options.trustProxy && req.headers['x-forwarded-for']) {
+      return req.headers['x-forwarded-for'].split(',')[0].trim();
+    }
+    return req.socket.remoteAddress || 'unknown';
+  }
+
+  /**
+   * Count a request against the client's window
+   * @returns {number} Seconds until the client may retry, or 0 if the request is allowed
+   */
+  function checkRateLimit(req) {
+    if (!rateLimit) return 0;
+
+    const now = Date.now();
+    const id = getClientId(req);
+    let entry = clients.get(id);
+
+    if (!entry || now - entry.windowStart >= rateLimit.windowMs) {
+      entry = { windowStart: now, count: 0 };
+      clients.set(id, entry);
+
+      // Forget clients whose windows have long passed
+      if (clients.size > 10000) {
+        for (const [key, value] of clients) {
+          if (now - value.windowStart >= rateLimit.windowMs) clients.delete(key);
+        }
+      }
+    }
+
+    entry.count++;
+
+    if (entry.count > rateLimit.max) {
+      return Math.ceil((entry.windowStart + rateLimit.windowMs - now) / 1000);
+    }
+    return 0;
+  }
+
+  function readBody(req) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      let size = 0;
+
+      const onData = chunk => {
+        size += chunk.length;
+        if (size > maxBodySize) {
+          // Stop buffering but keep draining, so the 413 reaches the client before the connection closes
+          req.removeListener('data', onData);
+          req.resume();
+          reject(Object.assign(new Error('Request body too large'), { status: 413, closeConnection: true }));
+          return;
+        }
+        chunks.push(chunk);
+      };
+
+      req.on('data', onData);
+      req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+      req.on('error', reject);
+    });
+  }
+
+  /**
+   * Send a request upstream
+   * @param {http.ServerResponse} [res] - Client response; the upstream request is dropped if it closes first
+   * @returns {Promise<http.IncomingMessage>} The upstream response
+   */
+  function requestUpstream(url, requestOptions, body, res) {
+    return new Promise((resolve, reject) => {
+      const client = url.protocol === 'http:' ? http : https;
+      const request = client.request(url, requestOptions, resolve);
+
+      request.on('error', reject);
+      if (res) {
+        res.on('close', () => {
+          if (!res.writableFinished) request.destroy();
+        });
+      }
+      if (body) {
+        request.write(body);
+      }
+      request.end();
+    });
+  }
+
+  function readCache(key) {
+    const entry = cache.get(key);
+    if (!entry) return null;
+
+    if (entry.expiresAt <= Date.now()) {
+      cache.delete(key);
+      return null;
+    }
+
+    // Re-insert so Map order tracks recency
+    cache.delete(key);
+    cache.set(key, entry);
+    return entry;
+  }
+
+  function writeCache(key, entry) {
+    cache.set(key, entry);
+
+    while (cache.size > cacheMaxEntries) {
+      cache.delete(cache.keys().next().value);
+    }
+  }
+
+  async function handleSearch(req, res) {
+    const body = await readBody(req);
+
+    try {
+      JSON.parse(body);
+    } catch (e) {
+      sendError(res, 400, 'Search body must be JSON');
+      return;
+    }
+
+    const cached = cacheTtl > 0 ? readCache(body) : null;
+    if (cached) {
+      res.statusCode = cached.status;
+      res.setHeader('Content-Type', cached.contentType);
+      res.setHeader('X-Udio-Proxy-Cache', 'HIT');
+      res.end(cached.body);
+      return;
+    }
+
+    const upstreamResponse = await requestUpstream(new URL(SEARCH_PATH, upstream), {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(body),
+        'Accept': 'application/json'
+      }
+    }, body);
+
+    const chunks = [];
+    for await (const chunk of upstreamResponse) {
+      chunks.push(chunk);
+    }
+
+    const entry = {
+      expiresAt: Date.now() + cacheTtl,
+      status: upstreamResponse.statusCode,
+      contentType: upstreamResponse.headers['content-type'] || 'application/json',
+      body: Buffer.concat(chunks)
+    };
+
+    if (cacheTtl > 0 && entry.status === 200) {
+      writeCache(body, entry);
+    }
+
+    res.statusCode = entry.status;
+    res.setHeader('Content-Type', entry.contentType);
+    res.setHeader('X-Udio-Proxy-Cache', 'MISS');
+    res.end(entry.body);
+  }
+
+  async function handleAudio(req, res, requestUrl) {
+    let target;
+    try {
+      target = new URL(requestUrl.searchParams.get('url'));
+    } catch (e) {
+      sendError(res, 400, 'Missing or invalid url parameter');
+      return;
+    }
+
+    if (!isAllowedAudioUrl(target)) {
+      sendError(res, 403, 'Audio host not allowed');
+      return;
+    }
+
+    // Pass Range through so the audio element can seek
+    const headers = {};
+    if (req.headers.range) {
+      headers.Range = req.headers.range;
+    }
+
+    const upstreamResponse = await requestUpstream(target, { method: req.method, headers }, null, res);
+
+    res.statusCode = upstreamResponse.statusCode;
+    for (const name of ['content-type', 'content-length', 'content-range', 'accept-ranges', 'cache-control', 'etag', 'last-modified']) {
+      if (upstreamResponse.headers[name]) {
+        res.setHeader(name, upstreamResponse.headers[name]);
+      }
+    }
+
+    await new Promise((resolve, reject) => {
+      pipeline(upstreamResponse, res, error => (error ? reject(error) : resolve()));
+    });
+  }
+
+  return function udioProxyHandler(req, res) {
+    setCorsHeaders(res);
+
+    if (req.method === 'OPTIONS') {
+      res.statusCode = 204;
+      res.end();
+      return;
+    }
+
+    const requestUrl = new URL(req.url, 'http://localhost');
+    const isSearch = requestUrl.pathname === SEARCH_PATH && req.method === 'POST';
+    const isAudio = requestUrl.pathname === AUDIO_PATH && (req.method === 'GET' || req.method === 'HEAD');
+
+    if (!isSearch && !isAudio) {
+      sendError(res, 404, 'Not found');
+      return;
+    }
+
+    const retryAfter = checkRateLimit(req);
+    if (retryAfter > 0) {
+      res.setHeader('Retry-After', String(retryAfter));
+      sendError(res, 429, 'Too many requests');
+      return;
+    }
+
+    const handled = isSearch ? handleSearch(req, res) : handleAudio(req, res, requestUrl);
+
+    handled.catch(error => {
+      if (res.headersSent || res.destroyed) {
+        res.destroy(error);
+        return;
+      }
+      if (error.closeConnection) {
+        res.setHeader('Connection', 'close');
+      }
+      sendError(res, error.status || 502, error.status ? error.message : 'Upstream request failed');
+    });
+  };
+}
+
+/**
+ * Create an HTTP server running the Udio proxy. Call listen() on the result.
+ * @param {UdioProxyServerOptions} [options] - Proxy options
+ * @returns {http.Server} The (not yet listening) server
+ */
+function createUdioProxyServer(options = {}) {
+  return http.createServer(createUdioProxyHandler(options));
+}
+
+module.exports = {
+  createUdioProxyServer,
+  createUdioProxyHandler
+};